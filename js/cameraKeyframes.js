@@ -0,0 +1,82 @@
+// cameraKeyframes.js
+// Camera choreography for a section's `cameraKeyframes`. Each keyframe is a partial pose plus
+// an offset and an optional GSAP ease for the segment that arrives at it:
+//   { time: 6, yaw: 10, ease: 'sine.inOut' }         seconds after the section settles (dwell)
+//   { scroll: 0.5, pathT: 0.3, pitch: -12 }          0–1 through the transition into the section
+// Missing pose fields carry over from the previous keyframe, so a dolly only needs `pathT`.
+// A step with its own `camera` drops the section's keyframes.
+
+import { gsap } from 'gsap';
+
+const POSE_KEYS = ['pathT', 'yaw', 'pitch'];
+const easeCache = new Map();
+
+function getEase(name) {
+  if (!name) return null;
+  if (!easeCache.has(name)) {
+    const ease = gsap.parseEase(name);
+    if (!ease) console.warn('[camera] unknown ease', name);
+    easeCache.set(name, ease ?? null);
+  }
+  return easeCache.get(name);
+}
+
+function mergePose(base, keyframe) {
+  const pose = { ...base };
+  POSE_KEYS.forEach((key) => {
+    if (Number.isFinite(keyframe?.[key])) pose[key] = keyframe[key];
+  });
+  pose.pathT = Math.min(Math.max(pose.pathT, 0), 1);
+  return pose;
+}
+
+/**
+ * Keyframes of one kind ('time' or 'scroll') as a sorted track of full poses.
+ * `from` opens the track at offset 0; `to` (scroll tracks) closes it at 1.
+ * Returns null when the section has no keyframes of that kind.
+ * @returns {Array<{ at: number, pose: { pathT: number, yaw: number, pitch: number }, ease: Function|null }>|null}
+ */
+export function buildCameraTrack(keyframes, kind, { from, to = null } = {}) {
+  if (!Array.isArray(keyframes) || !from) return null;
+  const keys = keyframes
+    .filter((keyframe) => Number.isFinite(keyframe?.[kind]))
+    .filter((keyframe) => (kind === 'scroll' ? keyframe.scroll > 0 && keyframe.scroll < 1 : keyframe.time > 0))
+    .sort((a, b) => a[kind] - b[kind]);
+  if (keys.length === 0) return null;
+
+  const track = [{ at: 0, pose: { ...from }, ease: null }];
+  keys.forEach((keyframe) => {
+    const previous = track[track.length - 1].pose;
+    track.push({ at: keyframe[kind], pose: mergePose(previous, keyframe), ease: getEase(keyframe.ease) });
+  });
+  if (to) {
+    // The section's own pose closes the arc; `ease` on a scroll: 1 keyframe shapes the last leg.
+    const closing = keyframes.find((keyframe) => keyframe?.scroll === 1);
+    track.push({ at: 1, pose: { ...to }, ease: getEase(closing?.ease) });
+  }
+  return track;
+}
+
+export function getCameraTrackEnd(track) {
+  return track?.length ? track[track.length - 1].at : 0;
+}
+
+/** Pose at `at` (seconds or 0–1 progress); holds the first/last pose outside the track. */
+export function sampleCameraTrack(track, at) {
+  if (!track?.length) return null;
+  if (at <= track[0].at) return { ...track[0].pose };
+  for (let i = 1; i < track.length; i += 1) {
+    const next = track[i];
+    if (at > next.at) continue;
+    const previous = track[i - 1];
+    const span = next.at - previous.at;
+    const local = span > 0 ? (at - previous.at) / span : 1;
+    const t = next.ease ? next.ease(local) : local;
+    const pose = {};
+    POSE_KEYS.forEach((key) => {
+      pose[key] = previous.pose[key] + (next.pose[key] - previous.pose[key]) * t;
+    });
+    return pose;
+  }
+  return { ...track[track.length - 1].pose };
+}
@@ -0,0 +1,82 @@
+// locale.js
+// Locale-keyed copy. The copy fields below (plus `sources[].label`) may be a plain value or an
+// object keyed by language tag, e.g. `title: { en: ['Closer', 'to Home'], mi: [...] }`. Plain values are
+// treated as DEFAULT_LOCALE. main.js shows a language toggle once a second locale is present;
+// `?lang=mi` picks one up front.
+
+export const DEFAULT_LOCALE = 'en';
+export const LOCALIZED_SECTION_FIELDS = ['eyebrow', 'title', 'body', 'backgroundText'];
+export const LOCALIZED_STORY_END_FIELDS = ['eyebrow', 'title', 'body', 'restartLabel'];
+const LOCALE_TAG = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+const STORAGE_KEY = 'story-locale';
+
+// Only a shape check, so only ask it about copy fields: a settings object such as
+// `background: { top, mid }` has tag-shaped keys too.
+export function isLocalized(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+  const keys = Object.keys(value);
+  return keys.length > 0 && keys.every((key) => LOCALE_TAG.test(key));
+}
+
+function baseLanguage(tag) {
+  return String(tag ?? '').toLowerCase().split('-')[0];
+}
+
+/**
+ * Pick the copy for `locale`: exact tag, then its base language, then the default, then
+ * whatever the field has, so a missing translation shows English rather than nothing.
+ */
+export function localize(value, locale, fallback = DEFAULT_LOCALE) {
+  if (!isLocalized(value)) return value;
+  const keys = Object.keys(value);
+  const find = (tag) => keys.find((key) => key.toLowerCase() === String(tag ?? '').toLowerCase());
+  const key = find(locale)
+    ?? keys.find((k) => baseLanguage(k) === baseLanguage(locale))
+    ?? find(fallback)
+    ?? keys[0];
+  return value[key];
+}
+
+/** Every locale used by the copy fields of the given sections and STORY_END. */
+export function collectLocales(sectionList, storyEnd = null) {
+  const found = new Set();
+  const visit = (value) => {
+    if (value === undefined || value === null || value === '') return;
+    if (isLocalized(value)) Object.keys(value).forEach((key) => found.add(key));
+    else found.add(DEFAULT_LOCALE);
+  };
+  (sectionList ?? []).forEach((section) => {
+    [section, ...(Array.isArray(section?.steps) ? section.steps : [])]
+      .forEach((entry) => LOCALIZED_SECTION_FIELDS.forEach((field) => visit(entry?.[field])));
+    (Array.isArray(section?.sources) ? section.sources : []).forEach((source) => visit(source?.label));
+  });
+  LOCALIZED_STORY_END_FIELDS.forEach((field) => visit(storyEnd?.[field]));
+  visit(storyEnd?.link?.label);
+  return [...found];
+}
+
+function matchLocale(tag, available) {
+  if (!tag) return null;
+  const lower = String(tag).toLowerCase();
+  return available.find((code) => code.toLowerCase() === lower)
+    ?? available.find((code) => baseLanguage(code) === baseLanguage(lower))
+    ?? null;
+}
+
+/** `?lang=` beats the reader's last choice, which beats the browser languages. */
+export function detectLocale(available, { search = globalThis.location?.search ?? '' } = {}) {
+  if (!available?.length) return DEFAULT_LOCALE;
+  const param = new URLSearchParams(search).get('lang');
+  let stored = null;
+  try { stored = globalThis.localStorage?.getItem(STORAGE_KEY); } catch {}
+  const browser = globalThis.navigator?.languages ?? [globalThis.navigator?.language];
+  for (const candidate of [param, stored, ...browser]) {
+    const match = matchLocale(candidate, available);
+    if (match) return match;
+  }
+  return matchLocale(DEFAULT_LOCALE, available) ?? available[0];
+}
+
+export function rememberLocale(locale) {
+  try { globalThis.localStorage?.setItem(STORAGE_KEY, locale); } catch {}
+}
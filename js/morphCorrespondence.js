@@ -0,0 +1,138 @@
+// morphCorrespondence.js
+// Which target point each vertex flies to during a morph. 'index' mode (the original) pairs
+// points by their fraction through the file, so unrelated parts of the two models swap places.
+// 'spatial' mode sorts both clouds along a Morton (Z-order) curve, each inside its own bounding
+// box, and pairs them rank for rank: the top-left of one shape flows into the top-left of the next.
+// The sort runs in the point cloud worker pool (js/workers/pointCloud.worker.js); results are
+// cached per section pair and reused while the live vertex layout is unchanged.
+
+export const CORRESPONDENCE_MODES = ['spatial', 'index'];
+
+const MORTON_BITS = 10;
+const MORTON_MAX = (1 << MORTON_BITS) - 1;
+const SIGNATURE_SAMPLES = 32;
+
+// Spread the low 10 bits of `v` so there are two zero bits between each.
+function spreadBits(v) {
+  let x = v & 0x3ff;
+  x = (x | (x << 16)) & 0x30000ff;
+  x = (x | (x << 8)) & 0x300f00f;
+  x = (x | (x << 4)) & 0x30c30c3;
+  x = (x | (x << 2)) & 0x9249249;
+  return x;
+}
+
+/** Vertex indices of an xyz array in Morton order (ties keep file order). */
+export function mortonOrder(positions) {
+  const count = Math.floor(positions.length / 3);
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < count * 3; i += 3) {
+    for (let k = 0; k < 3; k++) {
+      const value = positions[i + k];
+      if (value < min[k]) min[k] = value;
+      if (value > max[k]) max[k] = value;
+    }
+  }
+  const scale = [0, 1, 2].map((k) => (max[k] > min[k] ? MORTON_MAX / (max[k] - min[k]) : 0));
+  const codes = new Uint32Array(count);
+  for (let i = 0; i < count; i++) {
+    const x = Math.round((positions[i * 3] - min[0]) * scale[0]);
+    const y = Math.round((positions[i * 3 + 1] - min[1]) * scale[1]);
+    const z = Math.round((positions[i * 3 + 2] - min[2]) * scale[2]);
+    codes[i] = ((spreadBits(x) << 2) | (spreadBits(y) << 1) | spreadBits(z)) >>> 0;
+  }
+  const order = new Uint32Array(count);
+  for (let i = 0; i < count; i++) order[i] = i;
+  order.sort((a, b) => codes[a] - codes[b] || a - b);
+  return order;
+}
+
+/**
+ * For each source vertex, the index of the target point it should morph to.
+ * Both arrays are xyz triples of the same length.
+ * @returns {Uint32Array}
+ */
+export function computeSpatialCorrespondence(source, target) {
+  const sourceOrder = mortonOrder(source);
+  const targetOrder = mortonOrder(target);
+  const mapping = new Uint32Array(sourceOrder.length);
+  for (let rank = 0; rank < sourceOrder.length; rank++) {
+    mapping[sourceOrder[rank]] = targetOrder[rank];
+  }
+  return mapping;
+}
+
+/** Reorder an xyz (or rgb) array so vertex i holds entry mapping[i]. */
+export function applyCorrespondence(array, mapping) {
+  if (!array || !mapping || array.length !== mapping.length * 3) return array;
+  const result = new array.constructor(array.length);
+  for (let i = 0; i < mapping.length; i++) {
+    const src = mapping[i] * 3;
+    result[i * 3] = array[src];
+    result[i * 3 + 1] = array[src + 1];
+    result[i * 3 + 2] = array[src + 2];
+  }
+  return result;
+}
+
+// Cheap fingerprint of the live vertex layout: a cached mapping only holds for the layout it was
+// computed against (density changes and 'index' morphs reshuffle it).
+function layoutSignature(positions) {
+  const count = Math.floor(positions.length / 3);
+  const stride = Math.max(1, Math.floor(count / SIGNATURE_SAMPLES));
+  let hash = count;
+  for (let i = 0; i < count; i += stride) {
+    const value = positions[i * 3] * 73856093 + positions[i * 3 + 1] * 19349663 + positions[i * 3 + 2] * 83492791;
+    hash = (hash * 31 + Math.round(value * 1000)) | 0;
+  }
+  return `${count}:${hash}`;
+}
+
+/**
+ * Pool-backed solver with a per-pair cache. Falls back to the main thread when the pool
+ * (see js/workers/workerPool.js) can't run.
+ */
+export function createCorrespondenceSolver({ pool = null } = {}) {
+  const cache = new Map();
+
+  function run(source, target) {
+    if (!pool?.available) return Promise.resolve(computeSpatialCorrespondence(source, target));
+    // The worker gets copies; the caller's arrays stay usable for the fallback.
+    const sourceCopy = source.slice();
+    const targetCopy = target.slice();
+    return pool.run('correspondence', { source: sourceCopy, target: targetCopy }, [sourceCopy.buffer, targetCopy.buffer])
+      .then(({ mapping }) => mapping)
+      .catch((err) => {
+        console.warn('[morph] correspondence worker failed, solving on the main thread', err);
+        return computeSpatialCorrespondence(source, target);
+      });
+  }
+
+  /**
+   * @param {string} key section pair, e.g. 'Server->Earth'
+   * @param {Float32Array} source live vertex positions
+   * @param {Float32Array} target target points in index order, same length
+   * @returns {Promise<Uint32Array>}
+   */
+  function solve(key, source, target) {
+    const signature = layoutSignature(source);
+    const cached = cache.get(key);
+    if (cached?.signature === signature && cached.size === target.length) {
+      return cached.promise;
+    }
+    const promise = run(source, target);
+    const entry = { signature, size: target.length, promise };
+    cache.set(key, entry);
+    promise.catch(() => {
+      if (cache.get(key) === entry) cache.delete(key);
+    });
+    return promise;
+  }
+
+  function clear() {
+    cache.clear();
+  }
+
+  return { solve, clear };
+}
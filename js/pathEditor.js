@@ -0,0 +1,271 @@
+// pathEditor.js
+// Dev-only camera path editor, imported on demand by main.js. Draws the path as a line with a
+// handle per control point; click a handle to drag it with TransformControls. Points live in
+// path space (see pathPointToWorld / worldToPathPoint in main.js) and are edited in place on the
+// curve, so the story camera follows the edits immediately. The curve is whichever path the
+// current section rides (its own `cameraPath` or the global one). Export gives JSON for sections.js.
+
+import * as THREE from 'three';
+import { TransformControls } from 'three/addons/controls/TransformControls.js';
+
+const LINE_SAMPLES = 200;
+const MIN_POINTS = 4;
+const round = (value) => Math.round(value * 1000) / 1000;
+
+function button(label, onClick) {
+  const el = document.createElement('button');
+  el.type = 'button';
+  el.textContent = label;
+  el.addEventListener('click', onClick);
+  return el;
+}
+
+/**
+ * @param {Object} host
+ * @param {THREE.Scene} host.scene
+ * @param {THREE.Camera} host.camera
+ * @param {THREE.WebGLRenderer} host.renderer
+ * @param {import('three/addons/controls/OrbitControls.js').OrbitControls} host.controls
+ * @param {() => THREE.CatmullRomCurve3} host.getCurve the path being edited; re-read every frame
+ * @param {() => number|null} [host.getDistanceScale] the section's `distanceScale`, if it has one
+ * @param {(point: THREE.Vector3, target?: THREE.Vector3) => THREE.Vector3} host.toWorld
+ * @param {(world: THREE.Vector3, target?: THREE.Vector3) => THREE.Vector3} host.toPath
+ * @param {() => number} host.getPathScale world size of one path unit, for handle sizes
+ * @param {() => string|null} host.getSectionId
+ * @param {(pathT: number) => void} [host.onPreview] move the story camera to `pathT`
+ * @param {() => void} [host.onChange]
+ * @param {() => void} [host.onClose]
+ */
+export function createPathEditor(host) {
+  const { scene, camera, renderer, controls } = host;
+  let curve = host.getCurve();
+  const group = new THREE.Group();
+  group.name = 'PathEditor';
+  scene.add(group);
+
+  const lineGeometry = new THREE.BufferGeometry();
+  lineGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array((LINE_SAMPLES + 1) * 3), 3));
+  const line = new THREE.Line(lineGeometry, new THREE.LineBasicMaterial({ color: 0xffd166, depthTest: false, transparent: true }));
+  line.renderOrder = 10;
+  group.add(line);
+
+  const handleGeometry = new THREE.SphereGeometry(1, 12, 8);
+  const handleMaterial = new THREE.MeshBasicMaterial({ color: 0xffffff, depthTest: false });
+  const selectedMaterial = new THREE.MeshBasicMaterial({ color: 0xff5d73, depthTest: false });
+  const marker = new THREE.Mesh(handleGeometry, new THREE.MeshBasicMaterial({ color: 0x4cc9f0, depthTest: false }));
+  marker.renderOrder = 11;
+  group.add(marker);
+  let handles = [];
+
+  const transform = new TransformControls(camera, renderer.domElement);
+  transform.setSize(0.7);
+  scene.add(transform);
+
+  const state = { selected: -1, dragging: false, scrubT: 0, preview: false };
+  const world = new THREE.Vector3();
+  const raycaster = new THREE.Raycaster();
+  const pointer = new THREE.Vector2();
+
+  // Panel
+  const panel = document.createElement('aside');
+  panel.id = 'path-editor';
+  const header = document.createElement('div');
+  header.className = 'path-editor-header';
+  const heading = document.createElement('strong');
+  heading.textContent = 'Camera path';
+  const info = document.createElement('span');
+  header.append(heading, info, button('Close', () => destroy()));
+
+  const scrub = document.createElement('input');
+  scrub.type = 'range';
+  scrub.min = '0';
+  scrub.max = '1';
+  scrub.step = '0.001';
+  scrub.value = '0';
+  const scrubLabel = document.createElement('label');
+  const previewToggle = document.createElement('input');
+  previewToggle.type = 'checkbox';
+  scrubLabel.append(previewToggle, ' look through');
+  const scrubRow = document.createElement('div');
+  scrubRow.className = 'path-editor-row';
+  scrubRow.append('pathT', scrub, scrubLabel);
+
+  const editRow = document.createElement('div');
+  editRow.className = 'path-editor-row';
+  editRow.append(
+    button('Add point', () => addPoint()),
+    button('Remove point', () => removePoint()),
+  );
+
+  const scope = document.createElement('select');
+  [['path', 'Global path'], ['section', 'Current section']].forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    scope.appendChild(option);
+  });
+  const output = document.createElement('textarea');
+  output.readOnly = true;
+  output.rows = 6;
+  const exportRow = document.createElement('div');
+  exportRow.className = 'path-editor-row';
+  exportRow.append(scope, button('Copy JSON', () => copyJson()));
+  panel.append(header, scrubRow, editRow, exportRow, output);
+  document.body.appendChild(panel);
+
+  function syncHandles() {
+    while (handles.length > curve.points.length) group.remove(handles.pop());
+    while (handles.length < curve.points.length) {
+      const handle = new THREE.Mesh(handleGeometry, handleMaterial);
+      handle.renderOrder = 11;
+      group.add(handle);
+      handles.push(handle);
+    }
+    const size = Math.max(host.getPathScale() * 0.02, 1e-3);
+    handles.forEach((handle, index) => {
+      handle.userData.index = index;
+      handle.material = index === state.selected ? selectedMaterial : handleMaterial;
+      handle.scale.setScalar(size);
+      // The dragged handle leads; everything else follows the curve (and the model's scale).
+      if (!(state.dragging && index === state.selected)) host.toWorld(curve.points[index], handle.position);
+    });
+    marker.scale.setScalar(size * 1.4);
+  }
+
+  function syncLine() {
+    const positions = lineGeometry.getAttribute('position');
+    for (let i = 0; i <= LINE_SAMPLES; i += 1) {
+      host.toWorld(curve.getPoint(i / LINE_SAMPLES), world);
+      positions.setXYZ(i, world.x, world.y, world.z);
+    }
+    positions.needsUpdate = true;
+    lineGeometry.computeBoundingSphere();
+    host.toWorld(curve.getPoint(state.scrubT), marker.position);
+  }
+
+  function refreshOutput() {
+    const path = {
+      points: curve.points.map((point) => [round(point.x), round(point.y), round(point.z)]),
+      tension: curve.tension,
+      closed: curve.closed,
+    };
+    const distanceScale = host.getDistanceScale?.();
+    if (distanceScale != null) path.distanceScale = distanceScale;
+    const id = host.getSectionId();
+    const value = scope.value === 'section' && id ? { id, cameraPath: path } : path;
+    output.value = JSON.stringify(value, null, 2);
+    info.textContent = `${curve.points.length} points`;
+  }
+
+  function changed() {
+    curve.needsUpdate = true;
+    syncHandles();
+    syncLine();
+    refreshOutput();
+    host.onChange?.();
+  }
+
+  function select(index) {
+    state.selected = index;
+    if (index >= 0 && handles[index]) transform.attach(handles[index]);
+    else transform.detach();
+    syncHandles();
+  }
+
+  // New point halfway along the segment after the selection (or at the end).
+  function addPoint() {
+    const count = curve.points.length;
+    const after = state.selected >= 0 ? state.selected : count - 1;
+    const t = Math.min(1, (after + 0.5) / Math.max(1, count - 1));
+    curve.points.splice(after + 1, 0, curve.getPoint(t));
+    changed();
+    select(after + 1);
+  }
+
+  function removePoint() {
+    if (state.selected < 0 || curve.points.length <= MIN_POINTS) return;
+    curve.points.splice(state.selected, 1);
+    select(-1);
+    changed();
+  }
+
+  function copyJson() {
+    refreshOutput();
+    output.select();
+    navigator.clipboard?.writeText(output.value).catch(() => {});
+  }
+
+  function preview() {
+    host.toWorld(curve.getPoint(state.scrubT), marker.position);
+    if (state.preview) host.onPreview?.(state.scrubT);
+  }
+
+  transform.addEventListener('dragging-changed', (event) => {
+    state.dragging = event.value;
+    controls.enabled = !event.value;
+  });
+  transform.addEventListener('objectChange', () => {
+    const handle = transform.object;
+    if (!handle) return;
+    host.toPath(handle.position, curve.points[handle.userData.index]);
+    changed();
+  });
+
+  function handlePointerDown(event) {
+    if (event.button !== 0 || state.dragging || transform.axis) return;
+    const rect = renderer.domElement.getBoundingClientRect();
+    pointer.set(((event.clientX - rect.left) / rect.width) * 2 - 1, -((event.clientY - rect.top) / rect.height) * 2 + 1);
+    raycaster.setFromCamera(pointer, camera);
+    const hit = raycaster.intersectObjects(handles, false)[0];
+    if (hit) select(hit.object.userData.index);
+  }
+  renderer.domElement.addEventListener('pointerdown', handlePointerDown);
+
+  scrub.addEventListener('input', () => {
+    state.scrubT = Number(scrub.value);
+    preview();
+  });
+  previewToggle.addEventListener('change', () => {
+    state.preview = previewToggle.checked;
+    preview();
+  });
+  scope.addEventListener('change', refreshOutput);
+
+  changed();
+
+  let destroyed = false;
+  function destroy() {
+    if (destroyed) return;
+    destroyed = true;
+    transform.detach();
+    transform.dispose();
+    scene.remove(transform);
+    scene.remove(group);
+    lineGeometry.dispose();
+    handleGeometry.dispose();
+    line.material.dispose();
+    handleMaterial.dispose();
+    selectedMaterial.dispose();
+    marker.material.dispose();
+    controls.enabled = true;
+    renderer.domElement.removeEventListener('pointerdown', handlePointerDown);
+    panel.remove();
+    host.onClose?.();
+  }
+
+  // Called every frame: the model (and so the path's world scale) can change under the editor,
+  // and so can the path itself when the story moves to a section with its own.
+  function update() {
+    if (destroyed) return;
+    const current = host.getCurve();
+    if (current !== curve) {
+      curve = current;
+      select(-1);
+      refreshOutput();
+    }
+    syncHandles();
+    syncLine();
+  }
+
+  return { update, destroy, refresh: changed };
+}
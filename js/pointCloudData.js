@@ -0,0 +1,118 @@
+// pointCloudData.js
+// Array-level point cloud processing shared by the worker pool (js/workers/pointCloud.worker.js)
+// and its main-thread fallback: normalization, density subsampling and morph-target sampling.
+// Everything works on plain typed arrays (xyz positions, rgb colours) so results can be
+// transferred between threads and uploaded as BufferAttributes as-is. No three.js import: the
+// worker can't see the page's import map.
+
+/**
+ * Centre on the origin, fit the largest side to 2 units, turn about Y and apply a scale
+ * override, in place. Rotation is in degrees (the models face away from the camera, hence 180).
+ * `bounds` ({ min, max } arrays) replaces the array's own extent, so every chunk of a streamed
+ * cloud (js/progressiveCloud.js) lands in the same frame.
+ */
+export function normalizePositions(positions, { rotationDeg = 180, scale = 1, bounds = null } = {}) {
+  const count = Math.floor(positions.length / 3);
+  if (count === 0) return positions;
+  const min = bounds ? [...bounds.min] : [Infinity, Infinity, Infinity];
+  const max = bounds ? [...bounds.max] : [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; !bounds && i < count * 3; i += 3) {
+    for (let k = 0; k < 3; k++) {
+      const value = positions[i + k];
+      if (value < min[k]) min[k] = value;
+      if (value > max[k]) max[k] = value;
+    }
+  }
+  const center = [0, 1, 2].map((k) => (min[k] + max[k]) / 2);
+  const maxDim = Math.max(max[0] - min[0], max[1] - min[1], max[2] - min[2]) || 1;
+  const factor = (2 / maxDim) * (Number.isFinite(scale) ? scale : 1);
+  const angle = (rotationDeg * Math.PI) / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  for (let i = 0; i < count * 3; i += 3) {
+    const x = (positions[i] - center[0]) * factor;
+    const y = (positions[i + 1] - center[1]) * factor;
+    const z = (positions[i + 2] - center[2]) * factor;
+    // Same convention as Matrix4.makeRotationY.
+    positions[i] = cos * x + sin * z;
+    positions[i + 1] = y;
+    positions[i + 2] = -sin * x + cos * z;
+  }
+  return positions;
+}
+
+// Error message of a worker asked for an array it doesn't hold (see js/workers/pointCloud.worker.js).
+export const ARRAY_CACHE_MISS = 'array cache miss';
+
+export function getKeepCount(sourceCount, keepRatio = 1) {
+  return keepRatio >= 0.999 ? sourceCount : Math.max(1, Math.floor(sourceCount * keepRatio));
+}
+
+/** Evenly spaced picks of `keepCount` out of `sourceCount`, as 0–1 fractions through the file. */
+export function computeSampleFractions(sourceCount, keepCount) {
+  if (!Number.isFinite(sourceCount) || sourceCount <= 0 || !Number.isFinite(keepCount) || keepCount <= 0) return null;
+  const fractions = new Float32Array(keepCount);
+  const step = sourceCount / keepCount;
+  const srcDenom = Math.max(1, sourceCount - 1);
+  for (let i = 0; i < keepCount; i++) {
+    let index = Math.floor(i * step);
+    if (i === keepCount - 1 || index >= sourceCount) {
+      index = sourceCount - 1;
+    }
+    fractions[i] = index / srcDenom;
+  }
+  return fractions;
+}
+
+/** Items of `array` (itemSize wide) at each fraction, in a new array of the same type. */
+export function sampleByFractions(array, itemSize, fractions) {
+  const count = Math.floor(array.length / itemSize);
+  const result = new array.constructor(fractions.length * itemSize);
+  if (count <= 0) return result;
+  for (let i = 0; i < fractions.length; i++) {
+    const fraction = Math.min(Math.max(fractions[i] ?? 0, 0), 1);
+    let index = Math.round(fraction * (count - 1));
+    if (!Number.isFinite(index)) index = 0;
+    const src = index * itemSize;
+    const dst = i * itemSize;
+    for (let k = 0; k < itemSize; k++) {
+      result[dst + k] = array[src + k] ?? 0;
+    }
+  }
+  return result;
+}
+
+/**
+ * Thin `source` to `keepRatio` and pair every kept point with a point of `target` (index order).
+ * @param {{ position: Float32Array, color?: ArrayLike<number>|null }} source
+ * @param {number} keepRatio
+ * @param {{ position: Float32Array, color?: ArrayLike<number>|null }|null} [target]
+ * @returns {{ position, color, morphTarget, morphColor, sampleFractions }} ready-to-upload arrays
+ */
+export function subsamplePoints(source, keepRatio, target = null) {
+  const sourceCount = Math.floor(source.position.length / 3);
+  const keepCount = getKeepCount(sourceCount, keepRatio);
+  const sampleFractions = computeSampleFractions(sourceCount, keepCount);
+  const position = sampleByFractions(source.position, 3, sampleFractions);
+  const color = source.color ? sampleByFractions(source.color, 3, sampleFractions) : null;
+  const hasTarget = target?.position?.length >= 3;
+  const morphTarget = hasTarget ? sampleByFractions(target.position, 3, sampleFractions) : position.slice();
+  let morphColor = null;
+  if (color) {
+    morphColor = hasTarget && target.color ? sampleByFractions(target.color, 3, sampleFractions) : color.slice();
+  }
+  return { position, color, morphTarget, morphColor, sampleFractions };
+}
+
+/**
+ * Morph target for a live cloud of `vertexCount` points: `position` (and `color`, which may come
+ * from another model via `colorSource`) resampled to that count. Missing colours are black.
+ */
+export function buildMorphTarget({ position, color = null, vertexCount }) {
+  const fractions = computeSampleFractions(Math.floor(position.length / 3), vertexCount);
+  if (!fractions) return null;
+  const morphArray = sampleByFractions(position, 3, fractions);
+  // Colours are sampled at the same fractions through their own file.
+  const colorArray = color?.length >= 3 ? sampleByFractions(color, 3, fractions) : new Float32Array(vertexCount * 3);
+  return { morphArray, colorArray };
+}
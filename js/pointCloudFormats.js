@@ -0,0 +1,544 @@
+// pointCloudFormats.js
+// Readers for the point cloud formats that aren't PLY: LAS/LAZ from LiDAR surveys, E57 scanner
+// exports and XYZ/PTS text. Each turns a file's ArrayBuffer into the same { position, color }
+// arrays PLYLoader produces (xyz floats, rgb 0–1, colour optional), so the worker pool and
+// main.js normalize them exactly like PLYs. Files without RGB get colours from their ASPRS
+// classification (shaded by intensity) or from intensity alone.
+// Survey coordinates are often georeferenced far beyond Float32 precision, so positions come
+// back centred on their bounding box; normalizePositions() recentres everything anyway. These
+// formats are Z-up, so they are also turned Y-up to stand the way the PLY models do.
+// No three.js import: this also runs in js/workers/pointCloud.worker.js.
+
+const FORMATS = { ply: 'ply', las: 'las', laz: 'laz', e57: 'e57', xyz: 'xyz', pts: 'pts' };
+
+/** 'ply', 'las', 'laz', 'e57', 'xyz' or 'pts' by file extension; anything unknown is treated as PLY. */
+export function getPointCloudFormat(path) {
+  const match = /\.([a-z0-9]+)(?:[?#].*)?$/i.exec(typeof path === 'string' ? path : '');
+  return FORMATS[match?.[1].toLowerCase()] ?? 'ply';
+}
+
+/* ---------------- Colour from intensity / classification ---------------- */
+const CLASSIFICATION_COLORS = {
+  1: [0.62, 0.62, 0.62],  // unclassified
+  2: [0.63, 0.47, 0.31],  // ground
+  3: [0.56, 0.77, 0.43],  // low vegetation
+  4: [0.3, 0.6, 0.16],    // medium vegetation
+  5: [0.18, 0.42, 0.12],  // high vegetation
+  6: [0.85, 0.44, 0.29],  // building
+  7: [0.9, 0.2, 0.8],     // low point (noise)
+  9: [0.25, 0.5, 0.82],   // water
+  10: [0.55, 0.4, 0.55],  // rail
+  11: [0.45, 0.45, 0.45], // road surface
+  17: [0.8, 0.75, 0.55],  // bridge deck
+  18: [0.9, 0.2, 0.8],    // high noise
+};
+const OTHER_CLASS_COLOR = [0.75, 0.75, 0.75];
+const INTENSITY_SAMPLES = 4096;
+
+// 2nd–98th percentile of a sample, so a few hot returns don't flatten everything else to black.
+function getIntensityRange(intensity) {
+  const stride = Math.max(1, Math.floor(intensity.length / INTENSITY_SAMPLES));
+  const sample = [];
+  for (let i = 0; i < intensity.length; i += stride) sample.push(intensity[i]);
+  sample.sort((a, b) => a - b);
+  const low = sample[Math.floor((sample.length - 1) * 0.02)] ?? 0;
+  const high = sample[Math.floor((sample.length - 1) * 0.98)] ?? 1;
+  return high > low ? [low, high] : [low, low + 1];
+}
+
+/**
+ * RGB (0–1) for points without colour. Classification wins when the file is actually classified
+ * (anything beyond 0 "never classified" and 1 "unclassified"), shaded by intensity if present;
+ * otherwise intensity becomes grey. Returns null when there's neither.
+ */
+export function colorFromAttributes({ count, intensity = null, classification = null }) {
+  let classified = false;
+  for (let i = 0; classification && i < count && !classified; i++) classified = classification[i] > 1;
+  if (!classified && !intensity) return null;
+  const [low, high] = intensity ? getIntensityRange(intensity) : [0, 1];
+  const color = new Float32Array(count * 3);
+  for (let i = 0; i < count; i++) {
+    const shade = intensity ? Math.min(Math.max((intensity[i] - low) / (high - low), 0), 1) : 1;
+    const base = classified ? CLASSIFICATION_COLORS[classification[i]] ?? OTHER_CLASS_COLOR : null;
+    for (let k = 0; k < 3; k++) {
+      color[i * 3 + k] = base ? base[k] * (intensity ? 0.45 + 0.55 * shade : 1) : shade;
+    }
+  }
+  return color;
+}
+
+// Integer RGB to 0–1, guessing 8- or 16-bit from the largest value (LAS allows either).
+function normalizeRgb(rgb) {
+  let max = 0;
+  for (let i = 0; i < rgb.length; i++) if (rgb[i] > max) max = rgb[i];
+  if (max === 0) return null;
+  const divisor = max <= 1 ? 1 : max <= 255 ? 255 : 65535;
+  const color = new Float32Array(rgb.length);
+  for (let i = 0; i < rgb.length; i++) color[i] = rgb[i] / divisor;
+  return color;
+}
+
+// Float64 xyz -> Float32 xyz centred on the bounding box.
+function toLocalPositions(positions, count = positions.length / 3) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < count * 3; i += 3) {
+    for (let k = 0; k < 3; k++) {
+      if (positions[i + k] < min[k]) min[k] = positions[i + k];
+      if (positions[i + k] > max[k]) max[k] = positions[i + k];
+    }
+  }
+  const center = [0, 1, 2].map((k) => (count > 0 ? (min[k] + max[k]) / 2 : 0));
+  const local = new Float32Array(count * 3);
+  for (let i = 0; i < count * 3; i++) local[i] = positions[i] - center[i % 3];
+  return local;
+}
+
+// Z-up survey axes -> three's Y-up, in place.
+function toYUp(position) {
+  for (let i = 0; i + 2 < position.length; i += 3) {
+    const y = position[i + 1];
+    position[i + 1] = position[i + 2];
+    position[i + 2] = -y;
+  }
+  return position;
+}
+
+/* ---------------- LAS / LAZ ---------------- */
+// Byte offset of red/green/blue inside a point record, by point data format.
+const LAS_RGB_OFFSETS = { 2: 20, 3: 28, 5: 28, 7: 30, 8: 30, 10: 30 };
+
+function readLasHeader(view) {
+  const signature = String.fromCharCode(view.getUint8(0), view.getUint8(1), view.getUint8(2), view.getUint8(3));
+  if (signature !== 'LASF') throw new Error('not a LAS file');
+  const versionMinor = view.getUint8(25);
+  const headerSize = view.getUint16(94, true);
+  const formatByte = view.getUint8(104);
+  let count = view.getUint32(107, true);
+  // LAS 1.4 moved the point count to 64 bits; the legacy field is 0 for formats 6–10.
+  if (versionMinor >= 4 && headerSize >= 375) count = Number(view.getBigUint64(247, true)) || count;
+  const scale = [131, 139, 147].map((offset) => view.getFloat64(offset, true));
+  const offset = [155, 163, 171].map((at) => view.getFloat64(at, true));
+  const max = [179, 195, 211].map((at) => view.getFloat64(at, true));
+  const min = [187, 203, 219].map((at) => view.getFloat64(at, true));
+  return {
+    pointOffset: view.getUint32(96, true),
+    pointFormat: formatByte & 0x3f,
+    compressed: (formatByte & 0xc0) !== 0,
+    recordLength: view.getUint16(105, true),
+    count,
+    scale,
+    offset,
+    center: [0, 1, 2].map((k) => (Number.isFinite(min[k] + max[k]) ? (min[k] + max[k]) / 2 : 0)),
+  };
+}
+
+// Collects points record by record; shared by the plain and the laz-perf decoder.
+function createLasPointReader({ pointFormat, scale, offset, center, count }) {
+  const position = new Float32Array(count * 3);
+  const intensity = new Uint16Array(count);
+  const classification = new Uint8Array(count);
+  const rgbOffset = LAS_RGB_OFFSETS[pointFormat];
+  const rgb = rgbOffset !== undefined ? new Uint16Array(count * 3) : null;
+  // Formats 6–10 give classification a byte of its own; older ones pack it with flags.
+  const classOffset = pointFormat >= 6 ? 16 : 15;
+  const classMask = pointFormat >= 6 ? 0xff : 0x1f;
+  // Subtract the centre in double precision before narrowing to Float32.
+  const origin = [0, 1, 2].map((k) => offset[k] - center[k]);
+
+  function read(view, at, i) {
+    for (let k = 0; k < 3; k++) {
+      position[i * 3 + k] = view.getInt32(at + k * 4, true) * scale[k] + origin[k];
+    }
+    intensity[i] = view.getUint16(at + 12, true);
+    classification[i] = view.getUint8(at + classOffset) & classMask;
+    if (rgb) {
+      for (let k = 0; k < 3; k++) rgb[i * 3 + k] = view.getUint16(at + rgbOffset + k * 2, true);
+    }
+  }
+
+  function finish() {
+    const color = (rgb && normalizeRgb(rgb)) ?? colorFromAttributes({ count, intensity, classification });
+    return { position: toYUp(position), color };
+  }
+
+  return { read, finish };
+}
+
+function parseLas(buffer, options) {
+  const view = new DataView(buffer);
+  const header = readLasHeader(view);
+  if (header.compressed) return parseLaz(buffer, options);
+  const count = Math.min(header.count, Math.floor((buffer.byteLength - header.pointOffset) / header.recordLength));
+  const reader = createLasPointReader({ ...header, count });
+  for (let i = 0; i < count; i++) reader.read(view, header.pointOffset + i * header.recordLength, i);
+  return Promise.resolve(reader.finish());
+}
+
+// laz-perf (WASM) is only fetched the first time a .laz file loads. The page resolves it through
+// the import map in index.html; workers can't see that map and pass the URL of laz-perf's worker
+// build instead (the web build doesn't run in workers and vice versa).
+let lazPerf = null;
+function loadLazPerf(workerUrl = null) {
+  if (!lazPerf) {
+    const base = workerUrl ?? import.meta.resolve('laz-perf/');
+    lazPerf = import(workerUrl ? `${workerUrl}index.js/+esm` : 'laz-perf')
+      .then((module) => {
+        const create = module.createLazPerf ?? module.default?.createLazPerf;
+        return create({ locateFile: (file) => `${base}${file}` });
+      })
+      .catch((err) => {
+        lazPerf = null;
+        throw err;
+      });
+  }
+  return lazPerf;
+}
+
+function parseLaz(buffer, { lazPerfUrl = null } = {}) {
+  const header = readLasHeader(new DataView(buffer));
+  return loadLazPerf(lazPerfUrl).then((LazPerf) => {
+    const bytes = new Uint8Array(buffer);
+    const filePtr = LazPerf._malloc(bytes.length);
+    const laszip = new LazPerf.LASZip();
+    let pointPtr = 0;
+    try {
+      LazPerf.HEAPU8.set(bytes, filePtr);
+      laszip.open(filePtr, bytes.length);
+      const count = laszip.getCount();
+      pointPtr = LazPerf._malloc(laszip.getPointLength());
+      const reader = createLasPointReader({ ...header, pointFormat: laszip.getPointFormat() & 0x3f, count });
+      let heap = null;
+      for (let i = 0; i < count; i++) {
+        laszip.getPoint(pointPtr);
+        // Wasm memory can grow (and detach the old view) while decoding.
+        if (heap?.buffer !== LazPerf.HEAPU8.buffer) heap = new DataView(LazPerf.HEAPU8.buffer);
+        reader.read(heap, pointPtr, i);
+      }
+      return reader.finish();
+    } finally {
+      laszip.delete();
+      LazPerf._free(filePtr);
+      if (pointPtr) LazPerf._free(pointPtr);
+    }
+  });
+}
+
+/* ---------------- E57 ---------------- */
+// ASTM E2807: a paged binary file (every page ends in a CRC), an XML tree describing the scans,
+// and per-scan "compressed vector" sections holding one bit-packed stream per point field.
+
+function parseXml(text) {
+  const root = { name: '#document', attributes: {}, children: [], text: '' };
+  const stack = [root];
+  const tokens = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<(\/?)([\w:.-]+)([^>]*?)(\/?)>|([^<]+)/g;
+  let match;
+  while ((match = tokens.exec(text))) {
+    const [, cdata, closing, name, attributeText, selfClosing, textContent] = match;
+    const parent = stack[stack.length - 1];
+    if (textContent !== undefined || cdata !== undefined) {
+      parent.text += cdata ?? textContent;
+    } else if (closing) {
+      if (stack.length > 1) stack.pop();
+    } else if (name) {
+      const node = { name, attributes: {}, children: [], text: '' };
+      attributeText.replace(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g, (_, key, double, single) => {
+        node.attributes[key] = double ?? single;
+        return '';
+      });
+      parent.children.push(node);
+      if (!selfClosing) stack.push(node);
+    }
+  }
+  return root;
+}
+
+function xmlChild(node, name) {
+  return node?.children.find((child) => child.name === name) ?? null;
+}
+
+function xmlNumber(node, name, fallback) {
+  const value = Number.parseFloat(xmlChild(node, name)?.text);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+function getE57Field(node) {
+  const attr = (name, fallback) => {
+    const value = Number(node.attributes[name]);
+    return Number.isFinite(value) ? value : fallback;
+  };
+  const type = node.attributes.type;
+  if (type === 'Float') {
+    return { name: node.name, kind: 'float', bytes: node.attributes.precision === 'single' ? 4 : 8 };
+  }
+  if (type === 'Integer' || type === 'ScaledInteger') {
+    const minimum = attr('minimum', -(2 ** 31));
+    const maximum = attr('maximum', 2 ** 31 - 1);
+    return {
+      name: node.name,
+      kind: 'integer',
+      minimum,
+      maximum,
+      bits: maximum > minimum ? Math.ceil(Math.log2(maximum - minimum + 1)) : 0,
+      scale: type === 'ScaledInteger' ? attr('scale', 1) : 1,
+      offset: type === 'ScaledInteger' ? attr('offset', 0) : 0,
+    };
+  }
+  throw new Error(`unsupported E57 field type '${type}' (${node.name})`);
+}
+
+// Integers are packed least significant bit first, back to back, across byte boundaries.
+function decodeE57Field(field, bytes, count) {
+  const values = new Float64Array(count);
+  if (field.kind === 'float') {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const available = Math.min(count, Math.floor(bytes.byteLength / field.bytes));
+    for (let i = 0; i < available; i++) {
+      values[i] = field.bytes === 4 ? view.getFloat32(i * 4, true) : view.getFloat64(i * 8, true);
+    }
+    return values;
+  }
+  let bitPos = 0;
+  for (let i = 0; i < count; i++) {
+    let raw = 0;
+    let factor = 1;
+    for (let remaining = field.bits; remaining > 0;) {
+      const used = bitPos & 7;
+      const take = Math.min(8 - used, remaining);
+      raw += ((bytes[bitPos >> 3] >> used) & ((1 << take) - 1)) * factor;
+      factor *= 2 ** take;
+      bitPos += take;
+      remaining -= take;
+    }
+    values[i] = (raw + field.minimum) * field.scale + field.offset;
+  }
+  return values;
+}
+
+function concatBytes(parts) {
+  const length = parts.reduce((sum, part) => sum + part.length, 0);
+  const result = new Uint8Array(length);
+  let offset = 0;
+  parts.forEach((part) => {
+    result.set(part, offset);
+    offset += part.length;
+  });
+  return result;
+}
+
+function readE57Streams(logical, toLogical, fileOffset, fieldCount) {
+  const view = new DataView(logical.buffer, logical.byteOffset, logical.byteLength);
+  const sectionStart = toLogical(fileOffset);
+  if (logical[sectionStart] !== 1) throw new Error('E57 points section not found');
+  const sectionEnd = sectionStart + Number(view.getBigUint64(sectionStart + 8, true));
+  const streams = Array.from({ length: fieldCount }, () => []);
+  let at = toLogical(Number(view.getBigUint64(sectionStart + 16, true)));
+  while (at < sectionEnd && at + 4 <= logical.length) {
+    const packetType = logical[at];
+    const packetLength = view.getUint16(at + 2, true) + 1;
+    if (packetType === 1) {
+      const streamCount = view.getUint16(at + 4, true);
+      let cursor = at + 6 + streamCount * 2;
+      for (let s = 0; s < streamCount; s++) {
+        const length = view.getUint16(at + 6 + s * 2, true);
+        streams[s]?.push(logical.subarray(cursor, cursor + length));
+        cursor += length;
+      }
+    } else if (packetType !== 0 && packetType !== 2) {
+      break;
+    }
+    // Index (0) and empty (2) packets only take up space.
+    at += packetLength;
+  }
+  return streams.map(concatBytes);
+}
+
+function readE57Limits(scan, name, field) {
+  const limits = xmlChild(scan, `${name.replace(/(Red|Green|Blue)$/, '')}Limits`);
+  const minimum = xmlNumber(limits, `${name}Minimum`, field?.minimum ?? 0);
+  const maximum = xmlNumber(limits, `${name}Maximum`, field?.maximum ?? 255);
+  return maximum > minimum ? [minimum, maximum] : [0, 255];
+}
+
+function readE57Scan(scan, logical, toLogical) {
+  const points = xmlChild(scan, 'points');
+  const prototype = xmlChild(points, 'prototype');
+  if (!points || !prototype) return null;
+  const count = Number(points.attributes.recordCount) || 0;
+  const fields = prototype.children.map(getE57Field);
+  const streams = readE57Streams(logical, toLogical, Number(points.attributes.fileOffset), fields.length);
+  const values = {};
+  fields.forEach((field, i) => {
+    values[field.name] = decodeE57Field(field, streams[i], count);
+  });
+
+  const spherical = !values.cartesianX && values.sphericalRange;
+  if (!values.cartesianX && !spherical) throw new Error('E57 scan without coordinates');
+  const invalid = values.cartesianInvalidState ?? values.sphericalInvalidState ?? null;
+  const pose = xmlChild(scan, 'pose');
+  const rotation = xmlChild(pose, 'rotation');
+  const translation = xmlChild(pose, 'translation');
+  const [qw, qx, qy, qz] = ['w', 'x', 'y', 'z'].map((axis) => xmlNumber(rotation, axis, axis === 'w' ? 1 : 0));
+  const [tx, ty, tz] = ['x', 'y', 'z'].map((axis) => xmlNumber(translation, axis, 0));
+
+  const position = new Float64Array(count * 3);
+  const kept = new Uint32Array(count);
+  let n = 0;
+  for (let i = 0; i < count; i++) {
+    // 2 = no usable point; 1 = direction only (range unknown), which would collapse to the scanner.
+    if (invalid && invalid[i] > 0) continue;
+    let x;
+    let y;
+    let z;
+    if (spherical) {
+      const range = values.sphericalRange[i];
+      const azimuth = values.sphericalAzimuth?.[i] ?? 0;
+      const elevation = values.sphericalElevation?.[i] ?? 0;
+      x = range * Math.cos(elevation) * Math.cos(azimuth);
+      y = range * Math.cos(elevation) * Math.sin(azimuth);
+      z = range * Math.sin(elevation);
+    } else {
+      x = values.cartesianX[i];
+      y = values.cartesianY?.[i] ?? 0;
+      z = values.cartesianZ?.[i] ?? 0;
+    }
+    // Rotate by the scan's pose quaternion (v + w·t + q×t, t = 2·q×v), then translate.
+    const cx = 2 * (qy * z - qz * y);
+    const cy = 2 * (qz * x - qx * z);
+    const cz = 2 * (qx * y - qy * x);
+    position[n * 3] = x + qw * cx + (qy * cz - qz * cy) + tx;
+    position[n * 3 + 1] = y + qw * cy + (qz * cx - qx * cz) + ty;
+    position[n * 3 + 2] = z + qw * cz + (qx * cy - qy * cx) + tz;
+    kept[n++] = i;
+  }
+
+  let color = null;
+  if (values.colorRed && values.colorGreen && values.colorBlue) {
+    const channels = ['colorRed', 'colorGreen', 'colorBlue'].map((name) => {
+      const [minimum, maximum] = readE57Limits(scan, name, fields.find((field) => field.name === name));
+      return { data: values[name], minimum, span: maximum - minimum };
+    });
+    color = new Float32Array(n * 3);
+    for (let i = 0; i < n; i++) {
+      channels.forEach(({ data, minimum, span }, k) => {
+        color[i * 3 + k] = Math.min(Math.max((data[kept[i]] - minimum) / span, 0), 1);
+      });
+    }
+  } else if (values.intensity) {
+    const intensity = new Float32Array(n);
+    for (let i = 0; i < n; i++) intensity[i] = values.intensity[kept[i]];
+    color = colorFromAttributes({ count: n, intensity });
+  }
+  return { position: position.subarray(0, n * 3), color, count: n };
+}
+
+function parseE57(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(buffer);
+  const signature = new TextDecoder().decode(bytes.subarray(0, 8));
+  if (signature !== 'ASTM-E57') throw new Error('not an E57 file');
+  const pageSize = Number(view.getBigUint64(40, true)) || 1024;
+  const payload = pageSize - 4;
+  // Drop the page CRCs so sections can be read as one contiguous "logical" byte range.
+  const pages = Math.ceil(bytes.length / pageSize);
+  const logical = new Uint8Array(pages * payload);
+  for (let page = 0; page < pages; page++) {
+    logical.set(bytes.subarray(page * pageSize, Math.min(page * pageSize + payload, bytes.length)), page * payload);
+  }
+  const toLogical = (physical) => Math.floor(physical / pageSize) * payload + (physical % pageSize);
+
+  const xmlStart = toLogical(Number(view.getBigUint64(24, true)));
+  const xmlLength = Number(view.getBigUint64(32, true));
+  const tree = parseXml(new TextDecoder().decode(logical.subarray(xmlStart, xmlStart + xmlLength)));
+  const data3D = xmlChild(xmlChild(tree, 'e57Root'), 'data3D');
+  const scans = (data3D?.children ?? []).map((scan) => readE57Scan(scan, logical, toLogical)).filter(Boolean);
+  const count = scans.reduce((sum, scan) => sum + scan.count, 0);
+  if (!count) throw new Error('E57 file has no points');
+
+  // Scans without colour are grey when others have some.
+  const anyColor = scans.some((scan) => scan.color);
+  const position = new Float64Array(count * 3);
+  const color = anyColor ? new Float32Array(count * 3).fill(0.6) : null;
+  let offset = 0;
+  scans.forEach((scan) => {
+    position.set(scan.position, offset * 3);
+    if (color && scan.color) color.set(scan.color, offset * 3);
+    offset += scan.count;
+  });
+  return { position: toYUp(toLocalPositions(position)), color };
+}
+
+/* ---------------- XYZ / PTS ---------------- */
+// One point per line, separated by spaces, commas or semicolons. Column layouts:
+//   xyz: x y z [intensity] | x y z r g b [intensity]
+//   pts: x y z [intensity] | x y z r g b | x y z intensity r g b
+// PTS point-count lines (a single number, one per scan) and other non-numeric lines are skipped.
+function getTextColumns(columnCount, format) {
+  if (columnCount >= 7) return format === 'pts' ? { intensity: 3, rgb: 4 } : { rgb: 3, intensity: 6 };
+  if (columnCount >= 6) return { rgb: 3 };
+  if (columnCount === 4) return { intensity: 3 };
+  return {};
+}
+
+function parseText(buffer, format) {
+  const lines = new TextDecoder().decode(buffer).split(/\r?\n/);
+  const separator = /[\s,;]+/;
+  let columns = null;
+  let columnCount = 0;
+  const position = [];
+  const rgb = [];
+  const intensity = [];
+  for (let l = 0; l < lines.length; l++) {
+    const line = lines[l].trim();
+    if (!line || line[0] === '#' || line.startsWith('//')) continue;
+    const parts = line.split(separator);
+    if (parts.length < 3) continue;
+    const x = Number(parts[0]);
+    const y = Number(parts[1]);
+    const z = Number(parts[2]);
+    if (!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(z)) continue;
+    // The first point decides the layout; lines with fewer columns are dropped.
+    if (!columns) {
+      columnCount = parts.length;
+      columns = getTextColumns(columnCount, format);
+    }
+    if (parts.length < columnCount) continue;
+    position.push(x, y, z);
+    if (columns.rgb !== undefined) {
+      rgb.push(Number(parts[columns.rgb]) || 0, Number(parts[columns.rgb + 1]) || 0, Number(parts[columns.rgb + 2]) || 0);
+    }
+    if (columns.intensity !== undefined) intensity.push(Number(parts[columns.intensity]) || 0);
+  }
+  const count = position.length / 3;
+  if (!count) throw new Error(`no points found in ${format.toUpperCase()} file`);
+  const color = (rgb.length ? normalizeRgb(rgb) : null)
+    ?? (intensity.length ? colorFromAttributes({ count, intensity }) : null);
+  return { position: toYUp(toLocalPositions(position)), color };
+}
+
+/**
+ * Parse a non-PLY point cloud. PLY stays with three's PLYLoader.
+ * @param {ArrayBuffer} buffer
+ * @param {'las'|'laz'|'e57'|'xyz'|'pts'} format see getPointCloudFormat()
+ * @param {{ lazPerfUrl?: string|null }} [options] workers: folder of laz-perf's worker build
+ * @returns {Promise<{ position: Float32Array, color: Float32Array|null }>}
+ */
+export function parsePointCloudBuffer(buffer, format, options = {}) {
+  try {
+    switch (format) {
+      case 'las':
+        return parseLas(buffer, options);
+      case 'laz':
+        return parseLaz(buffer, options);
+      case 'e57':
+        return Promise.resolve(parseE57(buffer));
+      case 'xyz':
+      case 'pts':
+        return Promise.resolve(parseText(buffer, format));
+      default:
+        return Promise.reject(new Error(`no reader for '${format}' point clouds`));
+    }
+  } catch (err) {
+    return Promise.reject(err);
+  }
+}
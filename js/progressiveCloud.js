@@ -0,0 +1,147 @@
+// progressiveCloud.js
+// Streaming LOD for large captures. Instead of one PLY, a section's `modelPath` may point at a
+// manifest (written by tools/chunk-ply.mjs) whose levels add detail to each other, Potree-style:
+//   {
+//     "format": "pointcloud-lod", "version": 1,
+//     "bounds": { "min": [x, y, z], "max": [x, y, z] },     full-cloud bounds, raw units
+//     "levels": [
+//       { "spacing": 0.8, "points": 20000, "chunks": ["lod0.ply"] },
+//       { "spacing": 0.4, "points": 60000, "chunks": ["lod1-0.ply", "lod1-1.ply"] }
+//     ]
+//   }
+// Level 0 is shown as soon as it arrives. Each further level roughly halves the spacing between
+// points; main.js asks for it while the current spacing projects to more than a few pixels on
+// screen (the screen-space error). Chunk paths are relative to the manifest.
+
+export const MANIFEST_FORMAT = 'pointcloud-lod';
+
+export function isCloudManifest(path) {
+  return typeof path === 'string' && /\.json(\?|#|$)/i.test(path);
+}
+
+function concat(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  const result = new a.constructor(a.length + b.length);
+  result.set(a, 0);
+  result.set(b, a.length);
+  return result;
+}
+
+/**
+ * @param {string} url manifest URL
+ * @param {Object} io
+ * @param {(url: string) => Promise<Object>} io.fetchManifest
+ * @param {(url: string, bounds: { min: number[], max: number[] }) => Promise<{ position: Float32Array, color: ArrayLike<number>|null }>} io.loadChunk
+ *   parse one chunk, normalized against the whole cloud's bounds
+ */
+export function createProgressiveCloud(url, { fetchManifest, loadChunk }) {
+  const state = {
+    manifest: null,
+    levels: 0,          // levels merged so far
+    position: null,
+    color: null,
+    hasColor: null,
+    version: 0,         // bumps on every merge
+    loading: null,
+    error: null,
+  };
+
+  function resolveChunk(chunk) {
+    return new URL(chunk, new URL(url, globalThis.location?.href)).href;
+  }
+
+  function loadLevel(index) {
+    const level = state.manifest.levels[index];
+    const chunks = Array.isArray(level?.chunks) ? level.chunks : [];
+    // Chunks of one level load together and are merged in order.
+    return Promise.all(chunks.map((chunk) => loadChunk(resolveChunk(chunk), state.manifest.bounds)))
+      .then((parts) => {
+        parts.forEach((part) => {
+          // The first chunk decides; later chunks without colour are padded black so the
+          // colour array stays aligned with the positions.
+          if (state.hasColor === null) state.hasColor = !!part.color;
+          state.position = concat(state.position, part.position);
+          if (state.hasColor) state.color = concat(state.color, part.color ?? new Float32Array(part.position.length));
+        });
+        state.levels = index + 1;
+        state.version += 1;
+        return cloud;
+      });
+  }
+
+  function start() {
+    return fetchManifest(url).then((manifest) => {
+      if (manifest?.format !== MANIFEST_FORMAT || !Array.isArray(manifest.levels) || !manifest.levels.length) {
+        throw new Error(`not a ${MANIFEST_FORMAT} manifest: ${url}`);
+      }
+      if (!Array.isArray(manifest.bounds?.min) || !Array.isArray(manifest.bounds?.max)) {
+        throw new Error(`manifest without bounds: ${url}`);
+      }
+      state.manifest = manifest;
+      return loadLevel(0);
+    });
+  }
+
+  function getSpacing(index = state.levels - 1) {
+    return state.manifest?.levels[index]?.spacing ?? 0;
+  }
+
+  // Spacing as a fraction of the cloud's largest side (which normalization maps to 2 units).
+  function getRelativeSpacing(index = state.levels - 1) {
+    const { min, max } = state.manifest?.bounds ?? {};
+    if (!min || !max) return 0;
+    const maxDim = Math.max(max[0] - min[0], max[1] - min[1], max[2] - min[2]) || 1;
+    return getSpacing(index) / maxDim;
+  }
+
+  function hasMoreLevels() {
+    return !!state.manifest && state.levels < state.manifest.levels.length;
+  }
+
+  /**
+   * Load the next level if `needsDetail(relativeSpacing)` says the current one is too coarse
+   * and the next one stays under `maxPoints`. Resolves with the cloud once merged, or returns
+   * null when there's nothing to do.
+   */
+  function refine({ needsDetail, maxPoints = Infinity } = {}) {
+    if (state.loading || state.error || !hasMoreLevels()) return null;
+    const next = state.manifest.levels[state.levels];
+    const loaded = (state.position?.length ?? 0) / 3;
+    if (loaded + (next.points ?? 0) > maxPoints) return null;
+    if (needsDetail && !needsDetail(getRelativeSpacing())) return null;
+    state.loading = loadLevel(state.levels)
+      .catch((err) => {
+        // Keep what we have; a flaky chunk shouldn't take the coarse cloud down with it.
+        state.error = err;
+        console.warn('[lod] level failed to load:', url, err);
+        return cloud;
+      })
+      .finally(() => {
+        state.loading = null;
+      });
+    return state.loading;
+  }
+
+  const cloud = {
+    url,
+    ready: null,
+    refine,
+    hasMoreLevels,
+    getRelativeSpacing,
+    get version() {
+      return state.version;
+    },
+    get levels() {
+      return state.levels;
+    },
+    get position() {
+      return state.position;
+    },
+    get color() {
+      return state.color;
+    },
+  };
+  cloud.ready = start();
+  return cloud;
+}
@@ -0,0 +1,151 @@
+// richText.js
+// Safe markup for section bodies. Only <em>, <strong>, <a href>, <sup> and <br> survive the
+// sanitizer; everything else is unwrapped to its text. Two tokens are expanded afterwards:
+//   [^report]           footnote ref, numbered by the section's `sources` order
+//   {{stat:co2_tons}}   counter, value from the section's `stats`, counted up as the copy fades in
+// The section fields they read:
+//   sources: [{ id: 'report', label: 'Publisher, Title (year)', url: 'https://…' }]   label may be locale-keyed
+//   stats: { co2_tons: 552 } or { co2_tons: { value: 552, decimals: 0, prefix: '', suffix: ' t' } }
+
+import { gsap } from 'gsap';
+
+const ALLOWED_TAGS = new Set(['EM', 'STRONG', 'A', 'SUP', 'BR']);
+// Relative and root-relative links only: '//host' would be protocol-relative, i.e. off-site.
+const SAFE_HREF = /^(https?:|mailto:|#|\/(?!\/)|\.{1,2}\/)/i;
+const TOKEN_PATTERN = /\[\^([\w-]+)\]|\{\{\s*stat:([\w-]+)\s*\}\}/g;
+
+function sanitizeNode(node, out) {
+  node.childNodes.forEach((child) => {
+    if (child.nodeType === Node.TEXT_NODE) {
+      out.appendChild(document.createTextNode(child.textContent));
+      return;
+    }
+    if (child.nodeType !== Node.ELEMENT_NODE) return;
+    if (!ALLOWED_TAGS.has(child.tagName)) {
+      // Unknown tags keep their text, minus anything that was never meant to be read.
+      if (child.tagName === 'SCRIPT' || child.tagName === 'STYLE') return;
+      sanitizeNode(child, out);
+      return;
+    }
+    const clean = document.createElement(child.tagName.toLowerCase());
+    if (child.tagName === 'A') {
+      const href = child.getAttribute('href')?.trim() ?? '';
+      if (SAFE_HREF.test(href)) {
+        clean.setAttribute('href', href);
+        if (/^https?:/i.test(href)) {
+          clean.setAttribute('target', '_blank');
+          clean.setAttribute('rel', 'noopener noreferrer');
+        }
+      }
+    }
+    sanitizeNode(child, clean);
+    out.appendChild(clean);
+  });
+}
+
+/** Parse `markup` in an inert template and keep only the allowed subset. */
+export function sanitizeMarkup(markup) {
+  const template = document.createElement('template');
+  template.innerHTML = String(markup ?? '');
+  const fragment = document.createDocumentFragment();
+  sanitizeNode(template.content, fragment);
+  return fragment;
+}
+
+function normalizeStat(stat) {
+  if (typeof stat === 'number') return { value: stat, decimals: 0, prefix: '', suffix: '' };
+  if (!stat || typeof stat !== 'object' || !Number.isFinite(Number(stat.value))) return null;
+  return {
+    value: Number(stat.value),
+    decimals: Math.max(0, Math.trunc(stat.decimals ?? 0)),
+    prefix: stat.prefix ?? '',
+    suffix: stat.suffix ?? '',
+  };
+}
+
+export function formatStat(stat, value, locale) {
+  const number = new Intl.NumberFormat(locale || undefined, {
+    minimumFractionDigits: stat.decimals,
+    maximumFractionDigits: stat.decimals,
+  }).format(value);
+  return `${stat.prefix}${number}${stat.suffix}`;
+}
+
+function expandTokens(root, { sources, stats, idPrefix, locale, counters }) {
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  const textNodes = [];
+  while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+  textNodes.forEach((textNode) => {
+    const text = textNode.textContent;
+    TOKEN_PATTERN.lastIndex = 0;
+    if (!TOKEN_PATTERN.test(text)) return;
+    TOKEN_PATTERN.lastIndex = 0;
+    const fragment = document.createDocumentFragment();
+    let cursor = 0;
+    let match;
+    while ((match = TOKEN_PATTERN.exec(text))) {
+      fragment.appendChild(document.createTextNode(text.slice(cursor, match.index)));
+      cursor = match.index + match[0].length;
+      const [, footnoteId, statKey] = match;
+      if (footnoteId) {
+        const index = sources.findIndex((source) => source?.id === footnoteId);
+        if (index < 0) {
+          console.warn('[richText] footnote without a matching source:', footnoteId);
+          continue;
+        }
+        const sup = document.createElement('sup');
+        sup.className = 'footnote-ref';
+        const link = document.createElement('a');
+        link.href = `#${idPrefix}source-${footnoteId}`;
+        link.dataset.sourceId = footnoteId;
+        link.textContent = String(index + 1);
+        sup.appendChild(link);
+        fragment.appendChild(sup);
+        continue;
+      }
+      const stat = normalizeStat(stats?.[statKey]);
+      if (!stat) {
+        console.warn('[richText] unknown stat:', statKey);
+        continue;
+      }
+      const span = document.createElement('span');
+      span.className = 'stat';
+      span.dataset.stat = statKey;
+      // Reserve the final width up front so the line doesn't reflow while counting.
+      span.textContent = formatStat(stat, stat.value, locale);
+      counters.push({ element: span, stat });
+      fragment.appendChild(span);
+    }
+    fragment.appendChild(document.createTextNode(text.slice(cursor)));
+    textNode.replaceWith(fragment);
+  });
+}
+
+/**
+ * Render sanitized markup into `target`, replacing its contents.
+ * @returns {{ counters: Array<{ element: HTMLElement, stat: Object }> }}
+ */
+export function renderRichText(target, markup, { sources = [], stats = {}, idPrefix = '', locale } = {}) {
+  const counters = [];
+  const fragment = sanitizeMarkup(markup);
+  expandTokens(fragment, { sources, stats, idPrefix, locale, counters });
+  target.replaceChildren(fragment);
+  return { counters };
+}
+
+/** Plain-text version (footnote refs dropped, stats at their final value), e.g. for screen-reader copies. */
+export function richTextToPlain(markup, options = {}) {
+  const holder = document.createElement('div');
+  renderRichText(holder, markup, options);
+  holder.querySelectorAll('.footnote-ref').forEach((ref) => ref.remove());
+  return holder.textContent;
+}
+
+/** Show every stat at `progress` (0–1, eased) of its value; the caller drives it, e.g. from a fade. */
+export function setCounterProgress(counters, progress, { ease = 'power2.out', locale } = {}) {
+  const t = gsap.parseEase(ease)(Math.min(Math.max(progress, 0), 1));
+  counters.forEach(({ element, stat }) => {
+    element.textContent = formatStat(stat, stat.value * t, locale);
+  });
+}
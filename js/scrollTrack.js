@@ -0,0 +1,95 @@
+// scrollTrack.js
+// Native-scroll input: a tall, snap-aligned track with one block per entry (main.js passes
+// one per stop: every step of every section), plus an empty end block to scroll past the last.
+// The page scrolls for real (scrollbar, keyboard, anchor links, screen readers) and
+// main.js reads the fractional position back to drive the section transition.
+
+const REDUCED_MOTION = typeof matchMedia === 'function' ? matchMedia('(prefers-reduced-motion: reduce)') : null;
+
+function appendHiddenText(parent, tagName, text) {
+  if (!text) return;
+  const el = document.createElement(tagName);
+  el.className = 'visually-hidden';
+  el.textContent = text;
+  parent.appendChild(el);
+}
+
+export function createScrollTrack(sectionList, { getSlug, getTitle, getText, snap = 'mandatory' } = {}) {
+  const root = document.documentElement;
+  const track = document.createElement('div');
+  track.id = 'scroll-track';
+
+  const blocks = sectionList.map((section, index) => {
+    const block = document.createElement('section');
+    block.className = 'scroll-block';
+    block.dataset.index = String(index);
+    const slug = getSlug?.(section);
+    if (slug) block.id = slug;
+    renderBlockText(block, section);
+    track.appendChild(block);
+    return block;
+  });
+
+  // Readers walk the story as a normal document; the visible copy lives in #floating-text.
+  function renderBlockText(block, section) {
+    block.textContent = '';
+    const text = (field) => (getText ? getText(section, field) : section[field]);
+    appendHiddenText(block, 'p', text('eyebrow'));
+    appendHiddenText(block, 'h2', getTitle?.(section) ?? '');
+    appendHiddenText(block, 'p', text('body'));
+  }
+
+  // Re-read the copy (e.g. after a locale change).
+  function refreshText() {
+    blocks.forEach((block, index) => renderBlockText(block, sectionList[index]));
+  }
+
+  // Scrolling into this is the reader's "past the end"; see getOverscroll().
+  const endBlock = document.createElement('div');
+  endBlock.className = 'scroll-block scroll-end';
+  endBlock.setAttribute('aria-hidden', 'true');
+  track.appendChild(endBlock);
+
+  document.body.prepend(track);
+  root.classList.add('scroll-driven');
+  root.style.scrollSnapType = snap ? `y ${snap}` : 'none';
+
+  const metrics = { top: 0, blockHeight: 1 };
+  function measure() {
+    metrics.top = track.offsetTop;
+    metrics.blockHeight = Math.max(1, blocks[0]?.offsetHeight || innerHeight);
+  }
+  measure();
+  addEventListener('resize', measure);
+
+  // Read every frame rather than observed: the transition follows the fractional position,
+  // which an IntersectionObserver only reports at fixed thresholds.
+  function getRawPosition() {
+    return (scrollY - metrics.top) / metrics.blockHeight;
+  }
+
+  // Fractional block position: 0 = first block at the top, 1.5 = halfway between 1 and 2.
+  function getPosition() {
+    return Math.min(Math.max(getRawPosition(), 0), Math.max(0, blocks.length - 1));
+  }
+
+  // 0–1 of the way from the last block into the end block.
+  function getOverscroll() {
+    return Math.min(Math.max(getRawPosition() - (blocks.length - 1), 0), 1);
+  }
+
+  function scrollToIndex(index, { smooth = true } = {}) {
+    const clamped = Math.min(Math.max(Math.trunc(index) || 0, 0), Math.max(0, blocks.length - 1));
+    const behavior = smooth && !REDUCED_MOTION?.matches ? 'smooth' : 'auto';
+    scrollTo({ top: metrics.top + clamped * metrics.blockHeight, behavior });
+  }
+
+  function setActive(index) {
+    blocks.forEach((block, i) => {
+      if (i === index) block.setAttribute('aria-current', 'step');
+      else block.removeAttribute('aria-current');
+    });
+  }
+
+  return { element: track, getPosition, getOverscroll, scrollToIndex, setActive, measure, refreshText };
+}
@@ -0,0 +1,422 @@
+// sectionValidator.js
+// Load-time checks for sections.js. Typos there used to fail silently (a model path in the
+// wrong case only 404s on case-sensitive hosts), so the dev build lists them on screen.
+
+import { isLocalized } from './locale.js';
+import { CORRESPONDENCE_MODES } from './morphCorrespondence.js';
+
+export const HEX_PATTERN = /^#?([0-9a-fA-F]{6})([0-9a-fA-F]{2})?$/;
+// Where a section's `layout` places the copy; the first is the default.
+export const SECTION_LAYOUTS = ['left', 'right', 'center', 'bottom-caption', 'fullscreen-quote'];
+// Order matters: main.js passes each style's index to the morph shader.
+export const MORPH_STYLES = ['linear', 'stagger', 'radial', 'swirl', 'gravity', 'sweep'];
+
+/**
+ * @typedef {Object} ValidationIssue
+ * @property {'error'|'warning'} level
+ * @property {string|null} sectionId
+ * @property {string} field
+ * @property {string} message
+ */
+
+function issue(level, section, field, message) {
+  return { level, sectionId: section?.id ?? null, field, message };
+}
+
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isHex(value) {
+  return typeof value === 'string' && HEX_PATTERN.test(value.trim());
+}
+
+function checkVector(issues, section, field, value) {
+  if (value === undefined) return;
+  if (!value || typeof value !== 'object') {
+    issues.push(issue('error', section, field, 'expected { x, y, z }'));
+    return;
+  }
+  ['x', 'y', 'z'].forEach((axis) => {
+    if (value[axis] !== undefined && !isFiniteNumber(value[axis])) {
+      issues.push(issue('error', section, `${field}.${axis}`, `expected a number, got ${JSON.stringify(value[axis])}`));
+    }
+  });
+}
+
+function checkTransform(issues, section) {
+  const transform = section.transform;
+  if (transform === undefined) return;
+  if (!transform || typeof transform !== 'object') {
+    issues.push(issue('error', section, 'transform', 'expected { rotation, scale, offset }'));
+    return;
+  }
+  checkVector(issues, section, 'transform.rotation', transform.rotation);
+  checkVector(issues, section, 'transform.offset', transform.offset);
+  if (transform.scale !== undefined && !(isFiniteNumber(transform.scale) && transform.scale > 0)) {
+    issues.push(issue('error', section, 'transform.scale', `expected a positive number, got ${JSON.stringify(transform.scale)}`));
+  }
+}
+
+function checkCamera(issues, section) {
+  const camera = section.camera;
+  if (camera === undefined) return;
+  if (!camera || typeof camera !== 'object') {
+    issues.push(issue('error', section, 'camera', 'expected { pathT, yaw, pitch }'));
+    return;
+  }
+  if (camera.pathT !== undefined && !(isFiniteNumber(camera.pathT) && camera.pathT >= 0 && camera.pathT <= 1)) {
+    issues.push(issue('error', section, 'camera.pathT', `expected a number between 0 and 1, got ${JSON.stringify(camera.pathT)}`));
+  }
+  ['yaw', 'pitch'].forEach((key) => {
+    if (camera[key] !== undefined && !isFiniteNumber(camera[key])) {
+      issues.push(issue('error', section, `camera.${key}`, `expected degrees as a number, got ${JSON.stringify(camera[key])}`));
+    }
+  });
+}
+
+function checkCameraKeyframes(issues, section) {
+  const keyframes = section.cameraKeyframes;
+  if (keyframes === undefined) return;
+  if (!Array.isArray(keyframes)) {
+    issues.push(issue('error', section, 'cameraKeyframes', 'expected an array of { time | scroll, pathT, yaw, pitch, ease }'));
+    return;
+  }
+  keyframes.forEach((keyframe, index) => {
+    const field = `cameraKeyframes[${index}]`;
+    if (!keyframe || typeof keyframe !== 'object') {
+      issues.push(issue('error', section, field, 'expected an object'));
+      return;
+    }
+    const hasTime = keyframe.time !== undefined;
+    const hasScroll = keyframe.scroll !== undefined;
+    if (hasTime === hasScroll) {
+      issues.push(issue('error', section, field, 'needs exactly one of time (seconds) or scroll (0–1)'));
+    } else if (hasTime && !(isFiniteNumber(keyframe.time) && keyframe.time > 0)) {
+      issues.push(issue('error', section, `${field}.time`, `expected seconds greater than 0, got ${JSON.stringify(keyframe.time)}`));
+    } else if (hasScroll && !(isFiniteNumber(keyframe.scroll) && keyframe.scroll > 0 && keyframe.scroll <= 1)) {
+      issues.push(issue('error', section, `${field}.scroll`, `expected a number in (0, 1], got ${JSON.stringify(keyframe.scroll)}`));
+    }
+    if (keyframe.ease !== undefined && typeof keyframe.ease !== 'string') {
+      issues.push(issue('error', section, `${field}.ease`, 'expected a GSAP ease name, e.g. sine.inOut'));
+    }
+    const poseIssues = [];
+    checkCamera(poseIssues, { id: section.id, camera: keyframe });
+    poseIssues.forEach((entry) => issues.push({ ...entry, field: entry.field.replace(/^camera/, field) }));
+  });
+}
+
+function checkCameraPath(issues, section) {
+  const path = section.cameraPath;
+  if (path === undefined) return;
+  if (!path || typeof path !== 'object') {
+    issues.push(issue('error', section, 'cameraPath', 'expected { points, tension, closed, distanceScale }'));
+    return;
+  }
+  if (path.points === undefined) {
+    if (path.distanceScale === undefined) {
+      issues.push(issue('warning', section, 'cameraPath', 'neither points nor distanceScale set; using the global path'));
+    }
+  } else if (!Array.isArray(path.points) || path.points.length < 2) {
+    issues.push(issue('error', section, 'cameraPath.points', 'expected at least two [x, y, z] points; using the global path'));
+  } else {
+    path.points.forEach((point, index) => {
+      const coords = Array.isArray(point) ? point : [point?.x, point?.y, point?.z];
+      if (coords.length !== 3 || !coords.every(isFiniteNumber)) {
+        issues.push(issue('error', section, `cameraPath.points[${index}]`, `expected [x, y, z], got ${JSON.stringify(point)}`));
+      }
+    });
+  }
+  if (path.tension !== undefined && !(isFiniteNumber(path.tension) && path.tension >= 0 && path.tension <= 1)) {
+    issues.push(issue('error', section, 'cameraPath.tension', `expected a number between 0 and 1, got ${JSON.stringify(path.tension)}`));
+  }
+  if (path.closed !== undefined && typeof path.closed !== 'boolean') {
+    issues.push(issue('error', section, 'cameraPath.closed', `expected true or false, got ${JSON.stringify(path.closed)}`));
+  }
+  if (path.distanceScale !== undefined && !(isFiniteNumber(path.distanceScale) && path.distanceScale > 0)) {
+    issues.push(issue('error', section, 'cameraPath.distanceScale', `expected a positive number, got ${JSON.stringify(path.distanceScale)}`));
+  }
+}
+
+function checkColors(issues, section) {
+  const settings = section.settings;
+  if (!settings) return;
+  if (settings.highlightColor !== undefined && !isHex(settings.highlightColor)) {
+    issues.push(issue('error', section, 'settings.highlightColor', `not a hex colour: ${JSON.stringify(settings.highlightColor)}`));
+  }
+  const background = settings.background;
+  if (background === undefined) return;
+  if (typeof background === 'string') {
+    if (!isHex(background)) issues.push(issue('error', section, 'settings.background', `not a hex colour: ${JSON.stringify(background)}`));
+    return;
+  }
+  ['top', 'mid', 'bottom'].forEach((key) => {
+    if (background?.[key] !== undefined && !isHex(background[key])) {
+      issues.push(issue('error', section, `settings.background.${key}`, `not a hex colour: ${JSON.stringify(background[key])}`));
+    }
+  });
+}
+
+function checkTransitionRules(issues, section, ids) {
+  const rules = section.transitionRules;
+  if (!rules) return;
+  ['from', 'to'].forEach((key) => {
+    Object.keys(rules[key] ?? {}).forEach((ruleId) => {
+      if (ids.includes(ruleId)) return;
+      // Rules are looked up by exact id, so a case mismatch never applies.
+      const near = ids.find((id) => id.toLowerCase() === ruleId.toLowerCase());
+      const hint = near ? ` (did you mean '${near}'?)` : '';
+      issues.push(issue('error', section, `transitionRules.${key}.${ruleId}`, `no section with id '${ruleId}'${hint}`));
+    });
+    Object.entries(rules[key] ?? {}).forEach(([ruleId, rule]) => {
+      const mode = rule?.morphCorrespondence;
+      if (mode !== undefined && !CORRESPONDENCE_MODES.includes(mode)) {
+        issues.push(issue('warning', section, `transitionRules.${key}.${ruleId}.morphCorrespondence`, `unknown mode '${mode}' (expected ${CORRESPONDENCE_MODES.join(' or ')}); using 'index'`));
+      }
+      const style = rule?.morphStyle;
+      if (style !== undefined && !MORPH_STYLES.includes(style)) {
+        issues.push(issue('warning', section, `transitionRules.${key}.${ruleId}.morphStyle`, `unknown style '${style}' (expected ${MORPH_STYLES.join(', ')}); using 'linear'`));
+      }
+      const spread = rule?.morphSpread;
+      if (spread !== undefined && !(isFiniteNumber(spread) && spread >= 0 && spread <= 0.95)) {
+        issues.push(issue('error', section, `transitionRules.${key}.${ruleId}.morphSpread`, `expected a number between 0 and 0.95, got ${JSON.stringify(spread)}`));
+      }
+    });
+  });
+}
+
+// Footnote refs and {{stat:…}} counters in the body must point at entries that exist.
+function checkRichText(issues, section) {
+  const sources = section.sources;
+  if (sources !== undefined && !Array.isArray(sources)) {
+    issues.push(issue('error', section, 'sources', 'expected an array of { id, label, url }'));
+  }
+  const sourceIds = Array.isArray(sources) ? sources.map((source) => source?.id) : [];
+  (Array.isArray(sources) ? sources : []).forEach((source, index) => {
+    if (typeof source?.id !== 'string' || !source.id) {
+      issues.push(issue('error', section, `sources[${index}].id`, 'missing id'));
+    }
+    if (source?.url !== undefined && !/^https?:\/\//i.test(String(source.url))) {
+      issues.push(issue('warning', section, `sources[${index}].url`, `expected an http(s) URL, got ${JSON.stringify(source.url)}`));
+    }
+  });
+
+  const bodies = isLocalized(section.body) ? Object.values(section.body) : [section.body];
+  bodies.filter((body) => typeof body === 'string').forEach((body) => {
+    for (const [, id] of body.matchAll(/\[\^([\w-]+)\]/g)) {
+      if (!sourceIds.includes(id)) issues.push(issue('error', section, 'body', `footnote [^${id}] has no matching source`));
+    }
+    for (const [, key] of body.matchAll(/\{\{\s*stat:([\w-]+)\s*\}\}/g)) {
+      const stat = section.stats?.[key];
+      const value = typeof stat === 'number' ? stat : stat?.value;
+      if (!Number.isFinite(Number(value)) || value === null || value === undefined) {
+        issues.push(issue('error', section, 'body', `{{stat:${key}}} has no numeric value in stats`));
+      }
+    }
+  });
+}
+
+// Each step is checked like a small section (camera, colours, footnotes) and reported as steps[i].…
+function checkSteps(issues, section) {
+  const steps = section.steps;
+  if (steps === undefined) return;
+  if (!Array.isArray(steps) || steps.length === 0) {
+    issues.push(issue('error', section, 'steps', 'expected a non-empty array of { body, camera, highlightColor, background }'));
+    return;
+  }
+  steps.forEach((step, index) => {
+    const field = `steps[${index}]`;
+    if (!step || typeof step !== 'object') {
+      issues.push(issue('error', section, field, 'expected an object'));
+      return;
+    }
+    if (step.modelPath !== undefined) {
+      issues.push(issue('warning', section, `${field}.modelPath`, 'steps share the section model; start a new section to change it'));
+    }
+    const view = {
+      id: section.id,
+      camera: step.camera,
+      cameraKeyframes: step.cameraKeyframes,
+      cameraPath: step.cameraPath,
+      settings: { highlightColor: step.highlightColor, background: step.background },
+      body: step.body,
+      sources: step.sources ?? section.sources,
+      stats: step.stats ?? section.stats,
+    };
+    const stepIssues = [];
+    checkCamera(stepIssues, view);
+    checkCameraKeyframes(stepIssues, view);
+    checkCameraPath(stepIssues, view);
+    checkColors(stepIssues, view);
+    checkRichText(stepIssues, view);
+    stepIssues
+      // Inherited sources were already reported against the section itself.
+      .filter((entry) => step.sources !== undefined || !entry.field.startsWith('sources'))
+      .forEach((entry) => issues.push({ ...entry, field: `${field}.${entry.field.replace(/^settings\./, '')}` }));
+  });
+}
+
+/**
+ * Synchronous shape checks. Asset paths are checked separately by checkSectionAssets().
+ * @param {Array<Object>} sectionList
+ * @returns {ValidationIssue[]}
+ */
+export function validateSections(sectionList) {
+  const issues = [];
+  if (!Array.isArray(sectionList) || sectionList.length === 0) {
+    issues.push(issue('error', null, 'sections', 'no sections defined'));
+    return issues;
+  }
+
+  const ids = sectionList.map((section) => (typeof section?.id === 'string' ? section.id : ''));
+  const modelPaths = sectionList.map((section) => section?.modelPath).filter((path) => typeof path === 'string');
+  const seenSlugs = new Map();
+
+  sectionList.forEach((section, index) => {
+    if (!section || typeof section !== 'object') {
+      issues.push(issue('error', null, `sections[${index}]`, 'expected an object'));
+      return;
+    }
+    const id = ids[index];
+    if (!id.trim()) {
+      issues.push(issue('error', section, `sections[${index}].id`, 'missing id'));
+    } else {
+      // Deep links match ids case-insensitively, so 'Earth' and 'earth' would collide.
+      const slug = id.trim().toLowerCase();
+      if (seenSlugs.has(slug)) {
+        issues.push(issue('error', section, 'id', `duplicate id (also used by '${seenSlugs.get(slug)}')`));
+      } else {
+        seenSlugs.set(slug, id);
+      }
+    }
+    if (typeof section.modelPath !== 'string' || !section.modelPath.trim()) {
+      issues.push(issue('error', section, 'modelPath', 'missing modelPath'));
+    }
+    // Copy fields may be keyed by locale ({ en: …, mi: … }); each variant gets the same check.
+    const variants = (value) => (isLocalized(value) ? Object.entries(value) : [[null, value]]);
+    const isLines = (value) => typeof value === 'string' || (Array.isArray(value) && value.every((line) => typeof line === 'string'));
+    variants(section.title).forEach(([locale, title]) => {
+      if (!isLines(title)) {
+        issues.push(issue('error', section, locale ? `title.${locale}` : 'title', 'expected a string or an array of strings'));
+      }
+    });
+    ['eyebrow', 'body'].forEach((key) => {
+      if (section[key] === undefined) return;
+      variants(section[key]).forEach(([locale, value]) => {
+        if (typeof value !== 'string') {
+          issues.push(issue('warning', section, locale ? `${key}.${locale}` : key, 'expected a string'));
+        }
+      });
+    });
+    if (section.colorSource !== undefined && !modelPaths.includes(section.colorSource)) {
+      // Colours are borrowed from another section's loaded model, matched by exact path.
+      const near = modelPaths.find((path) => path.toLowerCase() === String(section.colorSource).toLowerCase());
+      const hint = near ? ` (did you mean '${near}'?)` : '';
+      issues.push(issue('error', section, 'colorSource', `'${section.colorSource}' is not the modelPath of any section${hint}`));
+    }
+    if (section.layout !== undefined && !SECTION_LAYOUTS.includes(section.layout)) {
+      issues.push(issue('warning', section, 'layout', `unknown layout '${section.layout}' (expected ${SECTION_LAYOUTS.join(', ')}); using 'left'`));
+    }
+    checkTransform(issues, section);
+    checkCamera(issues, section);
+    checkCameraKeyframes(issues, section);
+    checkCameraPath(issues, section);
+    checkColors(issues, section);
+    checkTransitionRules(issues, section, ids);
+    checkRichText(issues, section);
+    checkSteps(issues, section);
+  });
+  return issues;
+}
+
+function caseVariants(path) {
+  const slash = path.lastIndexOf('/');
+  const dir = path.slice(0, slash + 1);
+  const file = path.slice(slash + 1);
+  const variants = [
+    file.charAt(0).toUpperCase() + file.slice(1),
+    file.charAt(0).toLowerCase() + file.slice(1),
+    file.toLowerCase(),
+  ];
+  return [...new Set(variants)].filter((name) => name !== file).map((name) => dir + name);
+}
+
+async function headOk(path, fetchImpl) {
+  const response = await fetchImpl(path, { method: 'HEAD', cache: 'no-store' });
+  return response.ok;
+}
+
+/**
+ * HEAD every model/colour path once. Missing files get a case-variant suggestion when one exists.
+ * @param {Array<Object>} sectionList
+ * @param {{ fetchImpl?: typeof fetch }} [options]
+ * @returns {Promise<ValidationIssue[]>}
+ */
+export async function checkSectionAssets(sectionList, { fetchImpl = globalThis.fetch } = {}) {
+  if (typeof fetchImpl !== 'function') return [];
+  const owners = new Map();
+  sectionList.forEach((section) => {
+    ['modelPath', 'colorSource'].forEach((field) => {
+      const path = section?.[field];
+      if (typeof path !== 'string' || !path) return;
+      if (!owners.has(path)) owners.set(path, { section, field });
+    });
+  });
+
+  const issues = [];
+  await Promise.all([...owners].map(async ([path, { section, field }]) => {
+    try {
+      if (await headOk(path, fetchImpl)) return;
+    } catch (err) {
+      // file:// and some static hosts refuse HEAD; nothing useful to report.
+      issues.push(issue('warning', section, field, `could not check '${path}': ${err?.message ?? err}`));
+      return;
+    }
+    let suggestion = null;
+    for (const candidate of caseVariants(path)) {
+      try {
+        if (await headOk(candidate, fetchImpl)) {
+          suggestion = candidate;
+          break;
+        }
+      } catch {}
+    }
+    const hint = suggestion ? ` — found '${suggestion}' (paths are case-sensitive on most hosts)` : '';
+    issues.push(issue('error', section, field, `'${path}' not found${hint}`));
+  }));
+  return issues;
+}
+
+/**
+ * On-screen list of issues for the dev build. Calling it again appends to the same panel.
+ * @param {ValidationIssue[]} issues
+ */
+export function showValidationOverlay(issues) {
+  if (typeof document === 'undefined' || !issues?.length) return;
+  let panel = document.getElementById('dev-diagnostics');
+  if (!panel) {
+    panel = document.createElement('aside');
+    panel.id = 'dev-diagnostics';
+    panel.setAttribute('role', 'alert');
+    const header = document.createElement('div');
+    header.className = 'dev-diagnostics-header';
+    const heading = document.createElement('strong');
+    heading.textContent = 'sections.js';
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.textContent = 'Dismiss';
+    close.addEventListener('click', () => panel.remove());
+    header.append(heading, close);
+    const list = document.createElement('ul');
+    panel.append(header, list);
+    document.body.appendChild(panel);
+  }
+  const list = panel.querySelector('ul');
+  issues.forEach((entry) => {
+    const item = document.createElement('li');
+    item.className = `is-${entry.level}`;
+    const where = entry.sectionId ? `${entry.sectionId} › ${entry.field}` : entry.field;
+    item.textContent = `${where}: ${entry.message}`;
+    list.appendChild(item);
+  });
+}
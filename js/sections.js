@@ -15,9 +15,60 @@ export const SECTION_TRANSITION = {
   wheelThreshold: 80,      // scroll delta needed to trigger a section change
   scrollScale: 900,         // how much scroll (deltaY) maps to full transition progress
   progressTween: 0.35,      // seconds for GSAP tween between scroll targets
+  navigateDuration: 1.1,    // seconds per half (fade out / fade in) for key and goToSection() jumps
+  stepDuration: 0.9,        // seconds for a step change within a section (copy, camera and colours only)
+  settleDelay: 1.2,         // seconds a half-finished transition may sit still before it finishes or reverts (false = never)
   progressEaseName: 'power2.out',
   backgroundTween: 0.45,
   backgroundEase: 'power2.out',
+  loop: true,               // false = story stops at the first/last section instead of wrapping
+  morphCorrespondence: 'spatial', // 'spatial' pairs points by position (Morton order), 'index' by file order; transitionRules can override
+  morphStyle: 'linear',     // 'linear', 'stagger', 'radial', 'swirl', 'gravity' or 'sweep'; transitionRules can override
+  morphAxis: 'x',           // sweep direction: 'x', 'y', 'z' or [x, y, z]
+  morphSpread: 0.5,         // 0–0.95 share of the morph spent staggering point starts (stagger, radial, sweep)
+  wheel: {
+    gestureGap: 0.18,       // seconds without wheel events that end a gesture
+    momentumThreshold: 2.5, // trigger threshold multiplier while a trackpad momentum tail is running
+    slowVelocity: 600,      // px/s: slower gestures need the full wheelThreshold
+    fastVelocity: 3000,     // px/s: faster gestures need only fastThreshold of it
+    fastThreshold: 0.6,
+    lockAfterChange: true,  // ignore the rest of a gesture once it has changed section
+    snapOnRelease: true,    // finish or revert a half-done transition when the gesture ends
+  },
+  touch: {
+    horizontal: 'landscape', // also swipe left/right: true, false, or 'landscape' (tablets on their side)
+    flingVelocity: 900,      // px/s release speed that finishes (or reverts) a transition
+    pinch: true,             // pinch resizes points live and re-samples density on release
+  },
+  inputMode: 'wheel',       // 'wheel' hijacks wheel/touch; 'native' scrolls the page (`?input=native`)
+  scrollSnap: 'mandatory',  // native mode: 'mandatory', 'proximity' or false
+  boundaryScatter: 0.12,    // scatter added while pushing against either end (loop: false)
+  explore: {
+    enabled: true,          // show the Explore button (free orbit/zoom/pan; Esc or the button returns)
+    dampingFactor: 0.08,
+    minDistance: 0.05,      // closest zoom, as a fraction of the model's bounding-sphere radius
+    maxDistance: 3,         // farthest zoom, in bounding-sphere radii
+    returnDuration: 1.2,    // seconds to fly back to the story pose
+  },
+  autoplay: {
+    enabled: false,         // attract mode for installs; `?autoplay` in the URL also turns it on
+    idleDelay: 20,          // seconds without wheel/touch/key input before sections advance
+    dwell: 8,               // default seconds on each section (override per section with `autoplay: { dwell }`)
+  },
+  lod: {
+    screenError: 2,         // px: stream the next level while points sit further apart than this on screen
+    maxPoints: 2000000,     // never stream past this many points per model
+  },
+};
+
+// Closing panel revealed when the reader scrolls past the last section (loop: false).
+export const STORY_END = {
+  showCta: true,
+  eyebrow: 'The End',
+  title: ['The Cost of', 'a Question'],
+  body: '',
+  restartLabel: 'Start again',
+  link: null,               // optional { label, href }
 };
 
 export const sections = [
@@ -29,6 +80,8 @@ export const sections = [
     modelPath: 'point/akl3-bw.ply',
     backgroundText: ['The Cost of', 'A Question'],
     camera: { pathT: 0.1, yaw: -18, pitch: -8 },
+    cameraPath: { distanceScale: 0.35 },
+    autoplay: { dwell: 12 },
     transform: {
       rotation: { x: 0, y: 0, z: 0 },
       scale: 1,
@@ -65,7 +118,7 @@ export const sections = [
     eyebrow: 'Chapter 02',
     title: ['The hidden machine'],
     body: 'Globally, data centres already use 1–2% of all electricity — and that number’s climbing fast.',
-    modelPath: 'point/earthV2.ply',
+    modelPath: 'point/EarthV2.ply',
     colorSource: 'point/akl3-bw.ply',
     backgroundText: ['Midtown', 'Signal Lines'],
     camera: { pathT: 0.42, yaw: -8, pitch: -4 },
@@ -84,6 +137,9 @@ export const sections = [
     //     Server: {
     //       allowSpin: false,
     //       allowScatter: false,
+    //       morphCorrespondence: 'index',
+    //       morphStyle: 'sweep',
+    //       morphAxis: 'y',
     //     },
     //   },
     //   to: {
@@ -99,8 +155,8 @@ export const sections = [
     eyebrow: 'Chapter 03',
     title: ['Out of sight, not out of impact'],
     body: 'Training large AI models emits hundreds of tons of CO₂ and uses hundreds of thousands of litres of water. ',
-    modelPath: 'point/riverV2.ply',
-    colorSource: 'point/riverV2.ply',
+    modelPath: 'point/RiverV2.ply',
+    colorSource: 'point/RiverV2.ply',
     backgroundText: ['Sketching', 'Possible Futures'],
     camera: { pathT: 0.65, yaw: 0, pitch: -20 },
     transform: {
@@ -119,7 +175,7 @@ export const sections = [
     eyebrow: 'Chapter 03',
     title: ['Out of sight, not out of impact'],
     body: 'The hardware that drives it comes from rare minerals mined and shipped across the globe. These costs are invisible — hidden behind glowing screens.',
-    modelPath: 'point/riverV2.ply',
+    modelPath: 'point/RiverV2.ply',
     colorSource: 'point/akl3-bw.ply',
     backgroundText: ['Sketching', 'Possible Futures'],
     camera: { pathT: 0.65, yaw: 0, pitch: -20 },
@@ -157,6 +213,7 @@ export const sections = [
     colorSource: 'point/akl3-bw.ply',
     backgroundText: ['Sketching', 'Possible Futures'],
     camera: { pathT: 0.1, yaw: -18, pitch: -6 },
+    cameraPath: { distanceScale: 1.25 },
     transform: {
       rotation: { x: 0, y: 0.95, z: 0.05 },
       scale: 1.2,
@@ -173,7 +230,7 @@ export const sections = [
     eyebrow: 'Chapter 05',
     title: ['Sketching', 'Possible Futures'],
     body: 'As the points return to form, the city imagines what it might become under a new collective rhythm.',
-    modelPath: 'point/riverV2.ply',
+    modelPath: 'point/RiverV2.ply',
     backgroundText: ['Sketching', 'Possible Futures'],
     camera: { pathT: 0.65, yaw: 0, pitch: -20 },
     transform: {
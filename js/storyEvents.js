@@ -0,0 +1,99 @@
+// storyEvents.js
+// Lifecycle events for integrators (analytics, audio, captions). main.js owns the
+// section state machine and emits into this bus; listeners only observe.
+
+/**
+ * @typedef {Object} SectionRef
+ * @property {number} index
+ * @property {string|null} id
+ */
+
+/**
+ * Payload for each event type.
+ * @typedef {Object} StoryEventMap
+ * @property {{ from: SectionRef, to: SectionRef, direction: 1|-1 }} sectionwillchange
+ * @property {{ from: SectionRef, to: SectionRef, phase: 'fadeOut'|'loading'|'fadeIn', progress: number, overall: number }} transitionprogress
+ * @property {{ section: SectionRef, direction: 1|-1 }} sectionload
+ * @property {{ section: SectionRef, previous: SectionRef|null }} sectionchange
+ * @property {{ section: SectionRef, step: number, previous: number }} stepchange
+ * @property {{ path: string, points: number, hasColor: boolean }} modelloaded
+ * @property {{ path: string|null, section: SectionRef|null, error: unknown }} loaderror
+ * @property {{ section: SectionRef }} storyend
+ * @property {{ locale: string, previous: string }} localechange
+ * @property {{ active: boolean, section: SectionRef }} explorechange
+ */
+
+export const STORY_EVENT_TYPES = Object.freeze([
+  'sectionwillchange',
+  'transitionprogress',
+  'sectionload',
+  'sectionchange',
+  'stepchange',
+  'modelloaded',
+  'loaderror',
+  'storyend',
+  'localechange',
+  'explorechange',
+]);
+
+export function createStoryEvents() {
+  const listeners = new Map(STORY_EVENT_TYPES.map((type) => [type, new Set()]));
+
+  function getListeners(type) {
+    const set = listeners.get(type);
+    if (!set) console.warn('[events] unknown event type', type);
+    return set ?? null;
+  }
+
+  /**
+   * @template {keyof StoryEventMap} K
+   * @param {K} type
+   * @param {(detail: StoryEventMap[K]) => void} listener
+   * @returns {() => void} unsubscribe
+   */
+  function on(type, listener) {
+    const set = getListeners(type);
+    if (!set || typeof listener !== 'function') return () => {};
+    set.add(listener);
+    return () => off(type, listener);
+  }
+
+  /**
+   * @template {keyof StoryEventMap} K
+   * @param {K} type
+   * @param {(detail: StoryEventMap[K]) => void} listener
+   * @returns {() => void} unsubscribe
+   */
+  function once(type, listener) {
+    if (typeof listener !== 'function') return () => {};
+    const wrapped = (detail) => {
+      off(type, wrapped);
+      listener(detail);
+    };
+    return on(type, wrapped);
+  }
+
+  function off(type, listener) {
+    listeners.get(type)?.delete(listener);
+  }
+
+  /**
+   * @template {keyof StoryEventMap} K
+   * @param {K} type
+   * @param {StoryEventMap[K]} detail
+   */
+  function emit(type, detail) {
+    const set = getListeners(type);
+    if (!set || set.size === 0) return;
+    // Copy so listeners can unsubscribe while being called.
+    [...set].forEach((listener) => {
+      try {
+        listener(detail);
+      } catch (err) {
+        console.error(`[events] ${type} listener failed`, err);
+      }
+    });
+  }
+
+  return { on, once, off, emit };
+}
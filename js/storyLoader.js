@@ -0,0 +1,80 @@
+// storyLoader.js
+// Picks the story to play. Without `?story=` this is just js/sections.js; with
+// `?story=stories/example.json` (or .yaml) the manifest's sections replace the built-in ones
+// and its `transition` / `storyEnd` blocks are merged over the defaults from sections.js.
+//
+// Manifest shape (JSON or YAML):
+//   { "title": "…", "transition": { …SECTION_TRANSITION overrides }, "storyEnd": { … }, "sections": [ … ] }
+// A bare array is read as the sections list. Asset paths stay relative to index.html.
+
+import * as defaults from './sections.js';
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Objects merge key by key; arrays and scalars from the manifest replace the default.
+function mergeDeep(base, override) {
+  if (!isPlainObject(base) || !isPlainObject(override)) return override === undefined ? base : override;
+  const merged = { ...base };
+  Object.keys(override).forEach((key) => {
+    merged[key] = mergeDeep(base[key], override[key]);
+  });
+  return merged;
+}
+
+function resolveStoryUrl(raw) {
+  const url = new URL(raw, location.href);
+  // Stories ship with the site; never pull copy (and model paths) from another origin.
+  if (url.origin !== location.origin) {
+    throw new Error(`story must be same-origin: ${url.href}`);
+  }
+  return url;
+}
+
+async function parseStory(text, url, contentType) {
+  const isYaml = /\.ya?ml$/i.test(url.pathname) || /yaml/i.test(contentType ?? '');
+  if (!isYaml) return JSON.parse(text);
+  const YAML = await import('yaml');
+  return YAML.parse(text);
+}
+
+export async function loadStoryManifest(raw) {
+  const url = resolveStoryUrl(raw);
+  const response = await fetch(url, { cache: 'no-cache' });
+  if (!response.ok) throw new Error(`HTTP ${response.status} for ${url.pathname}`);
+  const manifest = await parseStory(await response.text(), url, response.headers.get('content-type'));
+  const story = Array.isArray(manifest) ? { sections: manifest } : manifest;
+  if (!isPlainObject(story) || !Array.isArray(story.sections) || story.sections.length === 0) {
+    throw new Error(`${url.pathname} has no sections`);
+  }
+  return story;
+}
+
+async function loadRequestedStory() {
+  if (typeof location === 'undefined') return null;
+  const raw = new URLSearchParams(location.search).get('story');
+  if (!raw) return null;
+  try {
+    const story = await loadStoryManifest(raw);
+    console.log('[story] loaded', raw, `(${story.sections.length} sections)`);
+    return story;
+  } catch (err) {
+    console.error('[story] failed to load', raw, '- falling back to js/sections.js', err);
+    return null;
+  }
+}
+
+const story = await loadRequestedStory();
+
+if (story?.title && typeof document !== 'undefined') {
+  document.title = story.title;
+}
+
+export const SECTION_TRANSITION = mergeDeep(defaults.SECTION_TRANSITION, story?.transition);
+export const STORY_END = story?.storyEnd === null ? null : mergeDeep(defaults.STORY_END, story?.storyEnd);
+export const sections = story?.sections ?? defaults.sections;
+
+export function getSectionCount() {
+  return sections.length;
+}
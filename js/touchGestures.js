@@ -0,0 +1,180 @@
+// touchGestures.js
+// Touch recognizer for the canvas: one-finger drags locked to an axis (with release
+// velocity for flings) and two-finger pinches. It only reports gestures; main.js
+// decides what they do to the section state machine.
+
+const VELOCITY_WINDOW_MS = 100;
+
+function touchDistance(a, b) {
+  return Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY);
+}
+
+/**
+ * @param {HTMLElement} element
+ * @param {Object} [options]
+ * @param {number} [options.slop] px a finger must travel before the drag commits to an axis
+ * @param {boolean|'landscape'} [options.horizontal] also accept horizontal swipes ('landscape' = only in landscape)
+ * @param {number} [options.flingVelocity] px/s release speed that counts as a fling
+ * @param {() => void} [options.onStart]
+ * @param {(delta: number, axis: 'x'|'y') => void} [options.onDrag] delta > 0 = forward (finger up / left)
+ * @param {(release: { velocity: number, fling: boolean, axis: 'x'|'y'|null, distance: number }) => void} [options.onRelease]
+ * @param {() => void} [options.onPinchStart]
+ * @param {(scale: number) => void} [options.onPinch]
+ * @param {(scale: number) => void} [options.onPinchEnd]
+ */
+export function createTouchGestures(element, {
+  slop = 8,
+  horizontal = false,
+  flingVelocity = 900,
+  onStart,
+  onDrag,
+  onRelease,
+  onPinchStart,
+  onPinch,
+  onPinchEnd,
+} = {}) {
+  const landscapeQuery = typeof matchMedia === 'function' ? matchMedia('(orientation: landscape)') : null;
+  const state = {
+    mode: 'none',          // 'pending' | 'drag' | 'pinch' | 'ignore' | 'none'
+    axis: null,
+    startX: 0,
+    startY: 0,
+    lastPos: 0,
+    travelled: 0,
+    samples: [],
+    pinchStart: 1,
+    pinchScale: 1,
+  };
+
+  function horizontalEnabled() {
+    if (horizontal === 'landscape') return !!landscapeQuery?.matches;
+    return !!horizontal;
+  }
+
+  function axisPosition(touch) {
+    // Forward is finger-up (y) or finger-left (x), matching positive wheel deltaY.
+    return state.axis === 'x' ? -touch.clientX : -touch.clientY;
+  }
+
+  function pushSample(pos, time) {
+    state.samples.push({ pos, time });
+    while (state.samples.length > 2 && time - state.samples[0].time > VELOCITY_WINDOW_MS) {
+      state.samples.shift();
+    }
+  }
+
+  function releaseVelocity(now) {
+    const samples = state.samples;
+    if (samples.length < 2) return 0;
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+    // A finger that stopped before lifting isn't a fling.
+    if (now - last.time > VELOCITY_WINDOW_MS) return 0;
+    const dt = (last.time - first.time) * 0.001;
+    return dt > 0 ? (last.pos - first.pos) / dt : 0;
+  }
+
+  function endDrag(now) {
+    const velocity = state.mode === 'drag' ? releaseVelocity(now) : 0;
+    onRelease?.({
+      velocity,
+      fling: Math.abs(velocity) >= flingVelocity,
+      axis: state.axis,
+      distance: state.travelled,
+    });
+  }
+
+  function beginPinch(touches) {
+    if (state.mode === 'drag' || state.mode === 'pending') endDrag(performance.now());
+    state.mode = 'pinch';
+    state.pinchStart = Math.max(1, touchDistance(touches[0], touches[1]));
+    state.pinchScale = 1;
+    onPinchStart?.();
+  }
+
+  function handleStart(event) {
+    const touches = event.touches;
+    if (touches.length === 2) {
+      beginPinch(touches);
+      return;
+    }
+    if (touches.length !== 1 || state.mode !== 'none') return;
+    const touch = touches[0];
+    state.mode = 'pending';
+    state.axis = null;
+    state.startX = touch.clientX;
+    state.startY = touch.clientY;
+    state.travelled = 0;
+    state.samples = [];
+    onStart?.();
+  }
+
+  function handleMove(event) {
+    const touches = event.touches;
+    if (state.mode === 'pinch') {
+      if (touches.length < 2) return;
+      event.preventDefault();
+      state.pinchScale = touchDistance(touches[0], touches[1]) / state.pinchStart;
+      onPinch?.(state.pinchScale);
+      return;
+    }
+    if (touches.length !== 1) return;
+    const touch = touches[0];
+
+    if (state.mode === 'pending') {
+      const dx = touch.clientX - state.startX;
+      const dy = touch.clientY - state.startY;
+      if (Math.hypot(dx, dy) < slop) return;
+      if (Math.abs(dx) > Math.abs(dy)) {
+        if (!horizontalEnabled()) {
+          state.mode = 'ignore';
+          return;
+        }
+        state.axis = 'x';
+      } else {
+        state.axis = 'y';
+      }
+      state.mode = 'drag';
+      // Start from the touch-down point so the slop distance isn't lost.
+      state.lastPos = state.axis === 'x' ? -state.startX : -state.startY;
+    }
+    if (state.mode !== 'drag') return;
+
+    event.preventDefault();
+    const pos = axisPosition(touch);
+    const delta = pos - state.lastPos;
+    state.lastPos = pos;
+    state.travelled += delta;
+    pushSample(pos, event.timeStamp || performance.now());
+    if (delta !== 0) onDrag?.(delta, state.axis);
+  }
+
+  function handleEnd(event) {
+    const remaining = event.touches.length;
+    if (state.mode === 'pinch') {
+      if (remaining >= 2) return;
+      onPinchEnd?.(state.pinchScale);
+      // Ignore the finger left behind until every touch has lifted.
+      state.mode = remaining > 0 ? 'ignore' : 'none';
+      return;
+    }
+    if (remaining > 0) return;
+    if (state.mode === 'drag' || state.mode === 'pending') endDrag(event.timeStamp || performance.now());
+    state.mode = 'none';
+    state.axis = null;
+  }
+
+  element.addEventListener('touchstart', handleStart, { passive: true });
+  element.addEventListener('touchmove', handleMove, { passive: false });
+  element.addEventListener('touchend', handleEnd, { passive: true });
+  element.addEventListener('touchcancel', handleEnd, { passive: true });
+
+  function destroy() {
+    element.removeEventListener('touchstart', handleStart);
+    element.removeEventListener('touchmove', handleMove);
+    element.removeEventListener('touchend', handleEnd);
+    element.removeEventListener('touchcancel', handleEnd);
+  }
+
+  return { destroy };
+}
@@ -0,0 +1,113 @@
+// wheelInput.js
+// Turns raw wheel events into section-scroll input: normalizes deltaMode, spots trackpad
+// momentum tails, scales the trigger threshold by gesture speed, and reports when a gesture
+// (including its tail) has ended.
+
+const LINE_HEIGHT_PX = 16;
+const TINY_DELTA_PX = 4;
+
+export function normalizeWheelDelta(event) {
+  const delta = Number(event?.deltaY) || 0;
+  if (event?.deltaMode === 1) return delta * LINE_HEIGHT_PX;                 // DOM_DELTA_LINE (Firefox wheels)
+  if (event?.deltaMode === 2) return delta * (globalThis.innerHeight || 800); // DOM_DELTA_PAGE
+  return delta;
+}
+
+export function createWheelInput({
+  gestureGap = 0.18,       // seconds without events that end a gesture
+  momentumEvents = 4,      // consecutive shrinking deltas before a stream counts as momentum
+  lockDuration = 0.6,      // seconds a lock holds against steady (non-momentum) input
+  momentumThreshold = 2.5, // threshold multiplier while a momentum tail is running
+  slowVelocity = 600,      // px/s at or below which a gesture needs the full threshold
+  fastVelocity = 3000,     // px/s at or above which it needs only `fastThreshold` of it
+  fastThreshold = 0.6,
+} = {}) {
+  const state = {
+    lastTime: -Infinity,
+    lastAbs: 0,
+    lastSign: 0,
+    decayCount: 0,
+    momentum: false,
+    velocity: 0,           // px/s, smoothed
+    gestureActive: false,
+    locked: false,
+    lockedAt: 0,
+  };
+
+  // A quick, deliberate swipe commits sooner than a slow drag; a momentum tail needs a much
+  // harder push so it can't roll on into the next section by itself.
+  function getThresholdScale() {
+    if (state.momentum) return momentumThreshold;
+    const span = Math.max(fastVelocity - slowVelocity, 1);
+    const speed = Math.min(Math.max((state.velocity - slowVelocity) / span, 0), 1);
+    return 1 + (fastThreshold - 1) * speed;
+  }
+
+  /**
+   * @param {WheelEvent} event
+   * @param {number} [now] ms timestamp
+   * @returns {{ delta: number, momentum: boolean, velocity: number, thresholdScale: number, newGesture: boolean } | null}
+   *   null when the event carries nothing or belongs to a locked gesture. `thresholdScale`
+   *   multiplies the section trigger threshold.
+   */
+  function handle(event, now = performance.now()) {
+    const delta = normalizeWheelDelta(event);
+    if (delta === 0) return null;
+    const t = now * 0.001;
+    const gap = t - state.lastTime;
+    const abs = Math.abs(delta);
+    const sign = Math.sign(delta);
+
+    // A pause, a reversal, or a sudden jump in speed means a fresh swipe/notch burst.
+    const newGesture = gap > gestureGap || sign !== state.lastSign || abs > state.lastAbs * 1.5 + 2;
+    if (newGesture) {
+      state.decayCount = 0;
+      state.momentum = false;
+      state.velocity = abs * 60;
+    } else {
+      // Momentum tails shrink every frame; steady mouse notches repeat the same value.
+      const shrinking = abs < state.lastAbs || (abs <= TINY_DELTA_PX && abs <= state.lastAbs);
+      state.decayCount = shrinking ? state.decayCount + 1 : 0;
+      if (state.decayCount >= momentumEvents) state.momentum = true;
+      else if (!shrinking) state.momentum = false;
+      const instant = abs / Math.max(gap, 1 / 240);
+      state.velocity += (instant - state.velocity) * 0.35;
+    }
+    state.lastTime = t;
+    state.lastAbs = abs;
+    state.lastSign = sign;
+    state.gestureActive = true;
+
+    if (state.locked) {
+      const expired = !state.momentum && t - state.lockedAt > lockDuration;
+      if (newGesture || expired) state.locked = false;
+      else return null;
+    }
+    return { delta, momentum: state.momentum, velocity: state.velocity, thresholdScale: getThresholdScale(), newGesture };
+  }
+
+  // Swallow the rest of the running gesture (e.g. after it completed a section change).
+  function lock(now = performance.now()) {
+    if (!state.gestureActive) return;
+    state.locked = true;
+    state.lockedAt = now * 0.001;
+  }
+
+  // True once per gesture, the first time it has been quiet for `gestureGap`.
+  function pollRelease(now = performance.now()) {
+    if (!state.gestureActive) return false;
+    if (now * 0.001 - state.lastTime <= gestureGap) return false;
+    state.gestureActive = false;
+    state.locked = false;
+    state.momentum = false;
+    state.decayCount = 0;
+    return true;
+  }
+
+  return {
+    handle,
+    lock,
+    pollRelease,
+    isLocked: () => state.locked,
+  };
+}
@@ -0,0 +1,88 @@
+// pointCloud.worker.js
+// Heavy point cloud work for js/workers/workerPool.js: parsing (PLY here, other formats via
+// js/pointCloudFormats.js) plus the array helpers in js/pointCloudData.js and
+// js/morphCorrespondence.js. Import maps don't reach workers, so three.js and laz-perf come
+// from the CDN builds of the same versions the page pins in index.html.
+
+import { PLYLoader } from 'https://cdn.jsdelivr.net/npm/three@0.156.0/examples/jsm/loaders/PLYLoader.js/+esm';
+import { ARRAY_CACHE_MISS, normalizePositions, subsamplePoints, buildMorphTarget } from '../pointCloudData.js';
+import { computeSpatialCorrespondence } from '../morphCorrespondence.js';
+import { parsePointCloudBuffer } from '../pointCloudFormats.js';
+
+const LAZ_PERF_WORKER_URL = 'https://cdn.jsdelivr.net/npm/laz-perf@0.0.7/lib/worker/';
+
+const plyLoader = new PLYLoader();
+
+// Model arrays sent with a task stay here, keyed by the id main.js gave them, so re-sampling the
+// same model only posts ids. Least recently used first out.
+const ARRAY_CACHE_LIMIT = 8;
+const arrayCache = new Map();
+
+function cacheArrays(arrays = []) {
+  arrays.forEach(({ id, array }) => {
+    arrayCache.delete(id);
+    arrayCache.set(id, array);
+  });
+  while (arrayCache.size > ARRAY_CACHE_LIMIT) arrayCache.delete(arrayCache.keys().next().value);
+}
+
+function cachedArray(ref) {
+  if (!ref) return null;
+  const array = arrayCache.get(ref.cachedArray);
+  if (!array) throw new Error(`${ARRAY_CACHE_MISS} (${ref.cachedArray})`);
+  arrayCache.delete(ref.cachedArray);
+  arrayCache.set(ref.cachedArray, array);
+  return array;
+}
+
+function cachedCloud(cloud) {
+  return cloud ? { position: cachedArray(cloud.position), color: cachedArray(cloud.color) } : null;
+}
+
+function buffersOf(result) {
+  const views = Object.values(result).filter((value) => ArrayBuffer.isView(value));
+  return [...new Set(views.map((view) => view.buffer))];
+}
+
+const tasks = {
+  // ArrayBuffer of a point cloud file -> normalized { position, color } arrays.
+  parse({ buffer, format = 'ply', rotationDeg, scale, bounds }) {
+    const normalize = ({ position, color }) => {
+      normalizePositions(position, { rotationDeg, scale, bounds });
+      return { position, color };
+    };
+    if (format !== 'ply') return parsePointCloudBuffer(buffer, format, { lazPerfUrl: LAZ_PERF_WORKER_URL }).then(normalize);
+    const geometry = plyLoader.parse(buffer);
+    const position = geometry.getAttribute('position')?.array;
+    if (!position) throw new Error('PLY has no vertex positions');
+    return normalize({ position, color: geometry.getAttribute('color')?.array ?? null });
+  },
+  subsample({ source, keepRatio, target, arrays }) {
+    cacheArrays(arrays);
+    return subsamplePoints(cachedCloud(source), keepRatio, cachedCloud(target));
+  },
+  morphTarget({ position, color, vertexCount, arrays }) {
+    cacheArrays(arrays);
+    return buildMorphTarget({ position: cachedArray(position), color: cachedArray(color), vertexCount });
+  },
+  correspondence({ source, target }) {
+    return { mapping: computeSpatialCorrespondence(source, target) };
+  },
+};
+
+// Tasks may return a promise (LAZ decoding waits for its wasm module).
+self.addEventListener('message', (event) => {
+  const { id, type, payload } = event.data ?? {};
+  Promise.resolve()
+    .then(() => {
+      const task = tasks[type];
+      if (!task) throw new Error(`unknown task '${type}'`);
+      return task(payload);
+    })
+    .then((result) => {
+      self.postMessage({ id, result }, result ? buffersOf(result) : []);
+    })
+    .catch((err) => {
+      self.postMessage({ id, error: err?.message ?? String(err) });
+    });
+});
@@ -0,0 +1,89 @@
+// workerPool.js
+// A few module workers running the same script, fed from one queue. Tasks are
+// `{ type, payload }` messages; the worker answers `{ id, result }` or `{ id, error }`.
+// Transfer lists move ArrayBuffers instead of copying them, in both directions.
+
+const DEFAULT_SIZE = Math.max(1, Math.min(4, (globalThis.navigator?.hardwareConcurrency ?? 2) - 1));
+
+export function createWorkerPool(url, { size = DEFAULT_SIZE, name = 'pool' } = {}) {
+  const workers = [];
+  const idle = [];
+  const queue = [];
+  const pending = new Map();
+  let nextId = 1;
+  let broken = typeof Worker !== 'function';
+
+  function fail(err, { quiet = false } = {}) {
+    if (!broken && !quiet) console.warn(`[workers] ${name} unavailable, running on the main thread`, err);
+    broken = true;
+    workers.forEach((worker) => worker.terminate());
+    workers.length = 0;
+    idle.length = 0;
+    pending.forEach(({ reject }) => reject(err));
+    pending.clear();
+    queue.splice(0).forEach(({ reject }) => reject(err));
+  }
+
+  function spawn() {
+    const worker = new Worker(url, { type: 'module', name: `${name}-${workers.length}` });
+    worker.addEventListener('message', (event) => {
+      const { id, result, error } = event.data ?? {};
+      const task = pending.get(id);
+      if (!task) return;
+      pending.delete(id);
+      if (error) task.reject(new Error(error));
+      else task.resolve(result);
+      idle.push(worker);
+      drain();
+    });
+    // Script errors (e.g. a failed import) break every worker the same way.
+    worker.addEventListener('error', (event) => {
+      event.preventDefault?.();
+      fail(event.error ?? new Error(event.message || `${name} worker failed`));
+    });
+    workers.push(worker);
+    idle.push(worker);
+  }
+
+  function drain() {
+    while (queue.length && !broken) {
+      if (!idle.length && workers.length < size) {
+        try {
+          spawn();
+        } catch (err) {
+          fail(err);
+          return;
+        }
+      }
+      const worker = idle.pop();
+      if (!worker) return;
+      const task = queue.shift();
+      pending.set(task.id, task);
+      worker.postMessage({ id: task.id, type: task.type, payload: task.payload }, task.transfer);
+    }
+  }
+
+  /**
+   * Rejects when workers can't run here; callers fall back to the same code on the main thread.
+   * @returns {Promise<any>}
+   */
+  function run(type, payload, transfer = []) {
+    if (broken) return Promise.reject(new Error(`${name} workers unavailable`));
+    return new Promise((resolve, reject) => {
+      queue.push({ id: nextId++, type, payload, transfer, resolve, reject });
+      drain();
+    });
+  }
+
+  function dispose() {
+    fail(new Error(`${name} disposed`), { quiet: true });
+  }
+
+  return {
+    run,
+    dispose,
+    get available() {
+      return !broken;
+    },
+  };
+}
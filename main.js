@@ -12,7 +12,20 @@ import { BrightnessContrastShader } from 'three/addons/shaders/BrightnessContras
 import { HueSaturationShader } from 'three/addons/shaders/HueSaturationShader.js';
 import { VignetteShader } from 'three/addons/shaders/VignetteShader.js';
 import { LUTCubeLoader } from 'three/addons/loaders/LUTCubeLoader.js';
-import { sections, SECTION_TRANSITION, getSectionCount } from './js/sections.js';
+import { sections, SECTION_TRANSITION, STORY_END, getSectionCount } from './js/storyLoader.js';
+import { createStoryEvents } from './js/storyEvents.js';
+import { createScrollTrack } from './js/scrollTrack.js';
+import { createWheelInput } from './js/wheelInput.js';
+import { createTouchGestures } from './js/touchGestures.js';
+import { DEFAULT_LOCALE, localize, collectLocales, detectLocale, rememberLocale } from './js/locale.js';
+import { HEX_PATTERN, SECTION_LAYOUTS, MORPH_STYLES, validateSections, checkSectionAssets, showValidationOverlay } from './js/sectionValidator.js';
+import { renderRichText, richTextToPlain, setCounterProgress } from './js/richText.js';
+import { buildCameraTrack, getCameraTrackEnd, sampleCameraTrack } from './js/cameraKeyframes.js';
+import { CORRESPONDENCE_MODES, createCorrespondenceSolver, applyCorrespondence } from './js/morphCorrespondence.js';
+import { createWorkerPool } from './js/workers/workerPool.js';
+import { ARRAY_CACHE_MISS, normalizePositions, subsamplePoints, buildMorphTarget } from './js/pointCloudData.js';
+import { createProgressiveCloud, isCloudManifest } from './js/progressiveCloud.js';
+import { getPointCloudFormat, parsePointCloudBuffer } from './js/pointCloudFormats.js';
 import { gsap } from 'gsap';
 
 /* ---------------- Renderer ---------------- */
@@ -214,6 +227,7 @@ function updatePostSizes() {
 }
 
 function setSectionCameraPose(section, { immediate = false } = {}) {
+  if (immediate) setCameraPath(getSectionCameraPath(section));
   if (!section?.camera) return;
   const cam = section.camera;
   if (typeof cam.pathT === 'number' && Number.isFinite(cam.pathT)) {
@@ -233,6 +247,25 @@ function setSectionCameraPose(section, { immediate = false } = {}) {
   controls.update();
 }
 
+const storyEvents = createStoryEvents();
+
+function describeSection(index) {
+  if (!Number.isInteger(index) || index < 0) return null;
+  return { index, id: sections[index]?.id ?? null };
+}
+
+function emitTransitionProgress() {
+  const phase = sectionState.phase;
+  if (phase !== 'fadeOut' && phase !== 'loading' && phase !== 'fadeIn') return;
+  storyEvents.emit('transitionprogress', {
+    from: describeSection(sectionState.transitionFromIndex),
+    to: describeSection(sectionState.nextIndex),
+    phase,
+    progress: phase === 'loading' ? 1 : sectionState.transitionProgress,
+    overall: getOverallTransitionProgress(),
+  });
+}
+
 const sectionState = {
   index: 0,
   phase: 'boot',
@@ -256,6 +289,14 @@ const sectionState = {
   nextScatterRest: SECTION_TRANSITION.scatterIn ?? 0.04,
   cameraStartPose: null,
   cameraEndPose: null,
+  cameraTrack: null,        // arc through the landing section's `scroll` keyframes (null = straight lerp)
+  replaceHistory: false,    // running transition came from back/forward: replace, don't push
+  wheelDriven: false,       // running transition/step was started or taken over by the wheel
+  transitionFromIndex: 0,
+  transitionFromStep: 0,    // step and resting scatter the running transition left, to rewind to
+  transitionFromScatterRest: SECTION_TRANSITION.scatterIn ?? 0.04,
+  stepIndex: 0,             // beat within the section (sections without `steps` have one)
+  nextStepIndex: 0,         // step the running section transition lands on
 };
 
 const SCROLL_SCATTER_PEAK = SECTION_TRANSITION.scatterPeak ?? SECTION_TRANSITION.scatterOut ?? 0.85;
@@ -263,6 +304,57 @@ const SCROLL_TWEEN_DURATION = SECTION_TRANSITION.progressTween ?? 0.35;
 const SCROLL_TWEEN_EASE = SECTION_TRANSITION.progressEaseName ?? 'power2.out';
 const BACKGROUND_TWEEN_DURATION = SECTION_TRANSITION.backgroundTween ?? 0.45;
 const BACKGROUND_TWEEN_EASE = SECTION_TRANSITION.backgroundEase ?? 'power2.out';
+const SECTION_NAVIGATE_DURATION = SECTION_TRANSITION.navigateDuration ?? 1.1;
+const STEP_DURATION = SECTION_TRANSITION.stepDuration ?? 0.9;
+const WHEEL_CONFIG = SECTION_TRANSITION.wheel ?? {};
+const wheelInput = createWheelInput(WHEEL_CONFIG);
+const TOUCH_CONFIG = SECTION_TRANSITION.touch ?? {};
+const SETTLE_DELAY = SECTION_TRANSITION.settleDelay ?? 1.2;
+const BOUNDARY_SCATTER = SECTION_TRANSITION.boundaryScatter ?? 0.12;
+const AUTOPLAY_CONFIG = SECTION_TRANSITION.autoplay ?? {};
+const pageParams = new URLSearchParams(typeof location !== 'undefined' ? location.search : '');
+// `?dev` (or serving from localhost) turns on the sections.js diagnostics overlay.
+const DEV_MODE = getQueryFlag('dev') ?? (typeof location !== 'undefined' && ['localhost', '127.0.0.1', '[::1]'].includes(location.hostname));
+// Copy language: eyebrow/title/body/backgroundText may be keyed by locale (see js/locale.js).
+const localeState = {
+  available: collectLocales(sections, STORY_END),
+  current: DEFAULT_LOCALE,
+};
+localeState.current = detectLocale(localeState.available);
+
+function getLocalizedText(value) {
+  return localize(value, localeState.current);
+}
+
+function getSectionText(section, field) {
+  return getLocalizedText(section?.[field]);
+}
+
+// Copy without markup, footnote refs or counters, for places that only take text.
+function getSectionPlainText(section, field) {
+  const value = getSectionText(section, field);
+  if (field !== 'body' || typeof value !== 'string') return value;
+  return richTextToPlain(value, { sources: section?.sources ?? [], stats: section?.stats ?? {}, locale: localeState.current });
+}
+const INPUT_MODE = pageParams.get('input') ?? SECTION_TRANSITION.inputMode ?? 'wheel';
+const SCROLL_DRIVEN = INPUT_MODE === 'native' && typeof document !== 'undefined';
+// A scroll track has a real top and bottom, so native mode never wraps.
+const STORY_LOOPS = !SCROLL_DRIVEN && SECTION_TRANSITION.loop !== false;
+
+// `?flag`, `?flag=1` -> true, `?flag=0`/`false`/`off` -> false, absent -> null
+function getQueryFlag(name) {
+  if (!pageParams.has(name)) return null;
+  const value = (pageParams.get(name) ?? '').trim().toLowerCase();
+  return !['0', 'false', 'off', 'no'].includes(value);
+}
+
+// Attract mode for installs: after a spell without input, step through the sections on a timer.
+const autoplayState = {
+  enabled: getQueryFlag('autoplay') ?? !!AUTOPLAY_CONFIG.enabled,
+  idleElapsed: 0,
+  dwellElapsed: 0,
+  driving: false,
+};
 
 const scrollTweenState = {
   rotation: 0,
@@ -509,8 +601,6 @@ sections.forEach((section) => {
 });
 
 let currentSectionId = null;
-let baseSampleFractions = null;
-let baseVertexCount = 0;
 
 function normalizeSectionIndex(index) {
   const total = getSectionCount();
@@ -519,6 +609,15 @@ function normalizeSectionIndex(index) {
   return mod < 0 ? mod + total : mod;
 }
 
+// Neighbour in `step` direction; -1 past either end when the story does not loop.
+function getAdjacentSectionIndex(index, step) {
+  const total = getSectionCount();
+  if (total <= 0) return -1;
+  const target = index + step;
+  if (STORY_LOOPS) return normalizeSectionIndex(target);
+  return target < 0 || target >= total ? -1 : target;
+}
+
 function getSectionByIndex(index) {
   const total = getSectionCount();
   if (total === 0) return null;
@@ -537,140 +636,68 @@ function getSectionTransform(section) {
   return section?.transform || getDefaultTransform();
 }
 
-function getSectionAsset(section) {
-  if (!section) return null;
-  return sectionAssets.get(section.id) ?? null;
+function getSectionStepCount(section) {
+  return Array.isArray(section?.steps) && section.steps.length > 0 ? section.steps.length : 1;
 }
 
-function ensureSectionGeometry(section) {
-  const asset = getSectionAsset(section);
-  if (!asset) return Promise.reject(new Error('Unknown section asset'));
-  if (asset.geometry) return Promise.resolve(asset.geometry);
-  const path = asset.path ?? section.modelPath;
-  return new Promise((resolve, reject) => {
-    loader.load(
-      path,
-      (geom) => {
-        preprocessGeometry(geom, path);
-        asset.geometry = geom;
-        
-        // Store color data in asset.colorArray for potential reuse
-        const colorAttr = geom.getAttribute('color');
-        if (colorAttr && colorAttr.array) {
-          asset.colorArray = colorAttr.array.slice(); // Clone the color array
-        }
-        
-        resolve(geom);
-      },
-      undefined,
-      (err) => reject(err)
-    );
-  });
+// A section's `steps` split it into beats that share its model. Each step may set its own
+// `body`, `camera`, `highlightColor` and `background` (and eyebrow/title/layout/autoplay);
+// anything it leaves out comes from the section. Steps change without the spin/scatter/morph.
+function getSectionStep(section, stepIndex = 0) {
+  const step = Array.isArray(section?.steps) ? section.steps[stepIndex] : null;
+  if (!section || !step) return section;
+  const { highlightColor, background, ...fields } = step;
+  const settings = { ...section.settings };
+  if (highlightColor) settings.highlightColor = highlightColor;
+  if (background) settings.background = background;
+  // A step with its own camera pose doesn't inherit the section's choreography.
+  const cameraKeyframes = fields.cameraKeyframes ?? (fields.camera ? undefined : section.cameraKeyframes);
+  return { ...section, ...fields, id: section.id, settings, cameraKeyframes };
 }
 
-function computeSampleFractions(sourceGeom, keepCount) {
-  const srcPos = sourceGeom?.getAttribute('position');
-  if (!srcPos || !Number.isFinite(keepCount) || keepCount <= 0) return null;
-  const sourceCount = srcPos.count;
-  if (!Number.isFinite(sourceCount) || sourceCount <= 0) return null;
-  const fractions = new Float32Array(keepCount);
-  const step = sourceCount / keepCount;
-  const srcDenom = Math.max(1, sourceCount - 1);
-  for (let i = 0; i < keepCount; i++) {
-    let index = Math.floor(i * step);
-    if (i === keepCount - 1 || index >= sourceCount) {
-      index = sourceCount - 1;
-    }
-    fractions[i] = srcDenom > 0 ? index / srcDenom : 0;
-  }
-  return fractions;
+function getCurrentStep() {
+  return getSectionStep(getSectionByIndex(sectionState.index), sectionState.stepIndex);
 }
 
-function generateMorphTargetArray(targetGeom) {
-  if (!points) return null;
-  const morphAttr = points.geometry?.getAttribute('morphTarget');
-  if (!morphAttr) return null;
-  const sampleFractions = baseSampleFractions;
-  if (!sampleFractions || sampleFractions.length !== morphAttr.count) {
-    return null;
-  }
-
-  return generateMorphTargetArrayWithFractions(targetGeom, sampleFractions);
+// Backwards navigation lands on the last beat of the previous section, forwards on the first.
+function getLandingStep(section, direction, step) {
+  const count = getSectionStepCount(section);
+  if (Number.isInteger(step)) return THREE.MathUtils.clamp(step, 0, count - 1);
+  return direction < 0 ? count - 1 : 0;
 }
 
-function generateMorphTargetArrayWithFractions(targetGeom, sampleFractions) {
-  if (!points) return null;
-  const morphAttr = points.geometry?.getAttribute('morphTarget');
-  if (!morphAttr) return null;
-  
-  if (!sampleFractions || sampleFractions.length !== morphAttr.count) {
-    return null;
-  }
-
-  const tgtPos = targetGeom?.getAttribute('position');
-  if (!tgtPos) return null;
-  const tgtArray = tgtPos.array;
-  const tgtStride = tgtPos.itemSize || 3;
-  const tgtCount = tgtPos.count;
-  if (!tgtArray || tgtCount <= 0) return null;
-
-  const result = new Float32Array(sampleFractions.length * 3);
-  for (let i = 0; i < sampleFractions.length; i++) {
-    const fraction = THREE.MathUtils.clamp(sampleFractions[i] ?? 0, 0, 1);
-    let targetIndex = Math.round(fraction * (tgtCount - 1));
-    if (!Number.isFinite(targetIndex)) targetIndex = 0;
-    if (targetIndex < 0) targetIndex = 0;
-    if (targetIndex >= tgtCount) targetIndex = tgtCount - 1;
-    const dst = i * 3;
-    const srcOffset = targetIndex * tgtStride;
-    result[dst + 0] = tgtArray[srcOffset + 0] ?? 0;
-    result[dst + 1] = tgtStride > 1 ? (tgtArray[srcOffset + 1] ?? 0) : 0;
-    result[dst + 2] = tgtStride > 2 ? (tgtArray[srcOffset + 2] ?? 0) : 0;
-  }
-  return result;
+function getSectionAsset(section) {
+  if (!section) return null;
+  return sectionAssets.get(section.id) ?? null;
 }
 
-function generateMorphColorArrayWithFractions(targetGeom, sampleFractions) {
-  if (!points) return null;
-  const morphAttr = points.geometry?.getAttribute('morphTarget');
-  if (!morphAttr) return null;
-  
-  if (!sampleFractions || sampleFractions.length !== morphAttr.count) {
-    return null;
-  }
-
-  const tgtColAttr = targetGeom?.getAttribute('color');
-  const tgtColorStride = 3; // Always RGB
-  
-  // If no color attribute, return an all-black array (valid color data)
-  if (!tgtColAttr) {
-    const result = new Float32Array(sampleFractions.length * tgtColorStride);
-    // result is already filled with zeros
-    return result;
-  }
-  
-  const tgtColorArray = tgtColAttr.array;
-  const tgtCount = tgtColAttr.count;
-  if (!tgtColorArray || tgtCount <= 0) {
-    // Return all-black array if no color data
-    const result = new Float32Array(sampleFractions.length * tgtColorStride);
-    return result;
-  }
-
-  const result = new tgtColorArray.constructor(sampleFractions.length * tgtColorStride);
-  for (let i = 0; i < sampleFractions.length; i++) {
-    const fraction = THREE.MathUtils.clamp(sampleFractions[i] ?? 0, 0, 1);
-    let targetIndex = Math.round(fraction * (tgtCount - 1));
-    if (!Number.isFinite(targetIndex)) targetIndex = 0;
-    if (targetIndex < 0) targetIndex = 0;
-    if (targetIndex >= tgtCount) targetIndex = tgtCount - 1;
-    const dst = i * tgtColorStride;
-    const srcOffset = targetIndex * tgtColorStride;
-    for (let k = 0; k < tgtColorStride; k++) {
-      result[dst + k] = tgtColorArray[srcOffset + k] ?? 0;
+function ensureSectionGeometry(section) {
+  const asset = getSectionAsset(section);
+  if (!asset) return Promise.reject(new Error('Unknown section asset'));
+  if (asset.geometry) return Promise.resolve(asset.geometry);
+  const path = asset.path ?? section.modelPath;
+  return loadPointCloud(path).then(
+    (geom) => {
+      asset.geometry = geom;
+      
+      // Store color data in asset.colorArray for potential reuse
+      const colorAttr = geom.getAttribute('color');
+      if (colorAttr && colorAttr.array) {
+        asset.colorArray = colorAttr.array.slice(); // Clone the color array
+      }
+      storyEvents.emit('modelloaded', {
+        path,
+        points: geom.getAttribute('position')?.count ?? 0,
+        hasColor: !!colorAttr,
+      });
+      
+      return geom;
+    },
+    (err) => {
+      storyEvents.emit('loaderror', { path, section: describeSection(sections.indexOf(asset.section)), error: err });
+      throw err;
     }
-  }
-  return result;
+  );
 }
 
 function setPointsMorphTarget(array) {
@@ -742,76 +769,123 @@ function setPointsPositionArray(array) {
   points.geometry.computeBoundingBox?.();
 }
 
-function ensureSectionMorphTarget(section) {
+// Parsing, subsampling and morph-target sampling run here; see js/workers/pointCloud.worker.js.
+const pointCloudPool = createWorkerPool(new URL('./js/workers/pointCloud.worker.js', import.meta.url), { name: 'pointcloud' });
+const morphCorrespondence = createCorrespondenceSolver({ pool: pointCloudPool });
+const workerArrayIds = new WeakMap();
+let nextWorkerArrayId = 1;
+
+// Runs a task whose payload names model arrays by id (`ref(array)`) instead of copying them.
+// A worker that doesn't hold one yet misses, and the task is re-sent once with transferred
+// copies for it to keep, so each worker receives a model's arrays once.
+function runWithCachedArrays(type, buildPayload) {
+  const used = new Map();
+  const ref = (array) => {
+    if (!array) return null;
+    if (!workerArrayIds.has(array)) workerArrayIds.set(array, nextWorkerArrayId++);
+    const id = workerArrayIds.get(array);
+    used.set(id, array);
+    return { cachedArray: id };
+  };
+  const payload = buildPayload(ref);
+  return pointCloudPool.run(type, payload).catch((err) => {
+    if (!err?.message?.startsWith(ARRAY_CACHE_MISS)) throw err;
+    const arrays = [...used].map(([id, array]) => ({ id, array: array.slice() }));
+    return pointCloudPool.run(type, { ...payload, arrays }, arrays.map(({ array }) => array.buffer));
+  });
+}
+let morphTargetRequest = 0;
+
+function getMorphCorrespondenceMode(prevSection, nextSection) {
+  const mode = getTransitionOverride(prevSection, nextSection)?.morphCorrespondence
+    ?? SECTION_TRANSITION.morphCorrespondence
+    ?? 'index';
+  return CORRESPONDENCE_MODES.includes(mode) ? mode : 'index';
+}
+
+// Resolves to the vertex -> target point mapping for spatial morphs, or null for index order.
+function getMorphMapping(prevSection, nextSection, targetArray) {
+  if (!prevSection || getMorphCorrespondenceMode(prevSection, nextSection) !== 'spatial') {
+    return Promise.resolve(null);
+  }
+  const posAttr = points?.geometry?.getAttribute('position');
+  if (!posAttr || posAttr.array.length !== targetArray.length) return Promise.resolve(null);
+  return morphCorrespondence.solve(`${prevSection.id}->${nextSection.id}`, posAttr.array, targetArray)
+    .catch((err) => {
+      console.warn('[morph] spatial correspondence failed, using index order', err);
+      return null;
+    });
+}
+
+// The section whose colours a section borrows via `colorSource`, or its own geometry.
+function resolveMorphColorGeometry(section, geom) {
+  if (!section?.colorSource) return Promise.resolve({ geometry: geom, label: section?.id });
+  let sourceAsset = null;
+  sectionAssets.forEach((asset) => {
+    if (asset.path === section.colorSource) {
+      sourceAsset = asset;
+    }
+  });
+  if (!sourceAsset) {
+    console.warn('[morph] colorSource path not found:', section.colorSource, '- falling back to section colors');
+    return Promise.resolve({ geometry: geom, label: section.id });
+  }
+  return ensureSectionGeometry({ id: sourceAsset.section.id }).then((sourceGeom) => ({
+    geometry: sourceGeom,
+    label: `${section.id} (colors from ${sourceAsset.section.id})`,
+  }));
+}
+
+// Target positions (and colours) resampled to the live vertex count, in index order.
+function buildMorphArrays(geom, colorGeom, vertexCount) {
+  const options = {
+    position: geom.getAttribute('position').array,
+    color: colorGeom?.getAttribute('color')?.array ?? null,
+    vertexCount,
+  };
+  if (!pointCloudPool.available) return Promise.resolve(buildMorphTarget(options));
+  return runWithCachedArrays('morphTarget', (ref) => ({
+    position: ref(options.position),
+    color: ref(options.color),
+    vertexCount,
+  })).catch((err) => {
+    console.warn('[morph] worker failed, sampling on the main thread', err);
+    return buildMorphTarget(options);
+  });
+}
+
+function ensureSectionMorphTarget(section, { from = getSectionByIndex(sectionState.index) } = {}) {
   const asset = getSectionAsset(section);
   if (!asset) return Promise.reject(new Error('Unknown section asset'));
+  const request = ++morphTargetRequest;
   return ensureSectionGeometry(section).then((geom) => {
     if (!points) return Promise.reject(new Error('Points not initialized'));
     const morphAttr = points.geometry.getAttribute('morphTarget');
     if (!morphAttr) return Promise.reject(new Error('Missing morph target attribute'));
-    const expectedLength = morphAttr.array.length;
-    
-    // Always regenerate sample fractions based on the target geometry to ensure proper point count restoration
-    const targetSampleFractions = computeSampleFractions(geom, morphAttr.count);
-    if (!targetSampleFractions) return Promise.reject(new Error('Failed to compute sample fractions for target geometry'));
-    
-    // Generate morph target array using the target geometry's sample fractions
-    const array = generateMorphTargetArrayWithFractions(geom, targetSampleFractions);
-    if (!array) throw new Error('Failed to generate morph target array');
     
-    asset.morphArray = array;
-    setPointsMorphTarget(asset.morphArray);
-    
-    // Check if this section has a colorSource - if so, use that model's colors
-    let colorGeometry = geom; // Default to current section's geometry
-    let colorSourceId = section?.id; // For logging
-    
-    if (section?.colorSource) {
-      // Find the asset whose path matches the colorSource
-      let sourceAsset = null;
-      sectionAssets.forEach((asset) => {
-        if (asset.path === section.colorSource) {
-          sourceAsset = asset;
-        }
+    return resolveMorphColorGeometry(section, geom)
+      .then((colors) => buildMorphArrays(geom, colors.geometry, morphAttr.count).then((arrays) => {
+        if (!arrays) throw new Error('Failed to generate morph target array');
+        return getMorphMapping(from, section, arrays.morphArray).then((mapping) => ({ arrays, colors, mapping }));
+      }))
+      .then(({ arrays, colors, mapping }) => {
+        // A newer transition took over while the arrays were being built.
+        if (request !== morphTargetRequest) return asset.morphArray;
+        asset.morphArray = mapping ? applyCorrespondence(arrays.morphArray, mapping) : arrays.morphArray;
+        setPointsMorphTarget(asset.morphArray);
+        
+        // IMPORTANT: colorArray is always set even if it contains mostly zeros (all-black is valid).
+        // Colours follow the same mapping so each point keeps its colour as it flies.
+        setPointsMorphColor(mapping ? applyCorrespondence(arrays.colorArray, mapping) : arrays.colorArray);
+        console.log('[morph] Updated morph colors for section:', colors.label, mapping ? '(spatial)' : '(index)');
+        
+        currentModelPath = asset.path ?? section.modelPath;
+        return asset.morphArray;
       });
-      
-      if (sourceAsset) {
-        // Load the source geometry if not already loaded
-        return ensureSectionGeometry({ id: sourceAsset.section.id }).then((sourceGeom) => {
-          colorGeometry = sourceGeom;
-          colorSourceId = `${section.id} (colors from ${sourceAsset.section.id})`;
-          
-          // Generate colors from the source geometry
-          // IMPORTANT: Always generate colorArray even if it contains mostly zeros
-          const colorArray = generateMorphColorArrayWithFractions(colorGeometry, targetSampleFractions);
-          
-          // Always call setPointsMorphColor - even all-black arrays are valid
-          setPointsMorphColor(colorArray);
-          console.log('[morph] Updated morph colors for section:', colorSourceId);
-          
-          currentModelPath = asset.path ?? section.modelPath;
-          return asset.morphArray;
-        });
-      } else {
-        console.warn('[morph] colorSource path not found:', section.colorSource, '- falling back to section colors');
-      }
-    }
-    
-    // Generate colors from current geometry (default behavior)
-    // IMPORTANT: Always generate colorArray even if it contains mostly zeros
-    const colorArray = generateMorphColorArrayWithFractions(colorGeometry, targetSampleFractions);
-    
-    // Always call setPointsMorphColor - even all-black arrays are valid
-    setPointsMorphColor(colorArray);
-    console.log('[morph] Updated morph colors for section:', colorSourceId);
-    
-    currentModelPath = asset.path ?? section.modelPath;
-    return asset.morphArray;
   });
 }
 
 function refreshAllMorphTargets() {
-  baseSampleFractions = computeSampleFractions(originalGeom, baseVertexCount);
   sectionAssets.forEach((asset) => {
     asset.morphArray = null;
   });
@@ -836,7 +910,7 @@ function getTransitionOverride(prevSection, nextSection) {
   return null;
 }
 
-function startSectionTransition(nextIndex, direction = 1, { initialProgress = 0 } = {}) {
+function startSectionTransition(nextIndex, direction = 1, { initialProgress = 0, step, replaceHistory = false } = {}) {
   const total = getSectionCount();
   if (total <= 0) return;
 
@@ -848,7 +922,14 @@ function startSectionTransition(nextIndex, direction = 1, { initialProgress = 0
   const nextSection = getSectionByIndex(targetIndex);
   if (!nextSection) return;
 
+  hideStoryEnd();
+
   const directionSign = direction >= 0 ? 1 : -1;
+  storyEvents.emit('sectionwillchange', {
+    from: describeSection(sectionState.index),
+    to: describeSection(targetIndex),
+    direction: directionSign,
+  });
   const baseTurns = nextSection.transition?.spinTurns ?? SECTION_TRANSITION.spinTurns ?? 1;
   const scatterOut = nextSection.transition?.scatterOut ?? SECTION_TRANSITION.scatterOut ?? 0.32;
   const scatterIn = nextSection.transition?.scatterIn ?? SECTION_TRANSITION.scatterIn ?? 0.04;
@@ -858,9 +939,15 @@ function startSectionTransition(nextIndex, direction = 1, { initialProgress = 0
   sectionState.transitionElapsed = 0;
   sectionState.pendingIndex = targetIndex;
   sectionState.pendingPromise = null;
+  sectionState.replaceHistory = replaceHistory;
+  sectionState.wheelDriven = false;
+  sectionState.transitionFromIndex = sectionState.index;
+  sectionState.transitionFromStep = sectionState.stepIndex;
+  sectionState.transitionFromScatterRest = sectionState.scatterRest;
   sectionState.direction = directionSign;
   sectionState.nextIndex = targetIndex;
   sectionState.nextSection = nextSection;
+  sectionState.nextStepIndex = getLandingStep(nextSection, directionSign, step);
   sectionState.spinTurns = baseTurns;
   sectionState.rotationStart = pointCloudGroup.rotation.y;
   
@@ -875,6 +962,7 @@ function startSectionTransition(nextIndex, direction = 1, { initialProgress = 0
   // Store these flags in sectionState so updateSectionTransition can access them
   sectionState.allowSpin = allowSpin;
   sectionState.allowScatter = allowScatter;
+  setMorphStyle(transitionRule);
   
   // If spin is disabled, mid and target should be the same (no intermediate rotation)
   if (allowSpin) {
@@ -895,15 +983,15 @@ function startSectionTransition(nextIndex, direction = 1, { initialProgress = 0
   sectionState.wheelAccumulator = 0;
   sectionState.morphReady = false;
 
+  const landing = getSectionStep(nextSection, sectionState.nextStepIndex);
   const currentPose = getCurrentCameraPose();
-  const targetCamera = nextSection.camera || {};
-  const endPathT = typeof targetCamera.pathT === 'number'
-    ? THREE.MathUtils.clamp(targetCamera.pathT, 0, 1)
-    : currentPose.pathT;
-  const endYaw = Number.isFinite(targetCamera.yaw) ? targetCamera.yaw : currentPose.yaw;
-  const endPitch = Number.isFinite(targetCamera.pitch) ? targetCamera.pitch : currentPose.pitch;
   sectionState.cameraStartPose = currentPose;
-  sectionState.cameraEndPose = { pathT: endPathT, yaw: endYaw, pitch: endPitch };
+  sectionState.cameraEndPose = resolveCameraPose(landing.camera, currentPose);
+  sectionState.cameraTrack = buildCameraTrack(landing.cameraKeyframes, 'scroll', {
+    from: currentPose,
+    to: sectionState.cameraEndPose,
+  });
+  beginCameraPathBlend(getSectionCameraPath(landing));
 
   scrollTweenState.rotation = pointCloudGroup.rotation.y;
   scrollTweenState.scatter = scatterAmp;
@@ -933,7 +1021,7 @@ function startSectionTransition(nextIndex, direction = 1, { initialProgress = 0
   scrollTargetsCurrent.transformOffsetY = scrollTweenState.transformOffsetY;
   scrollTargetsCurrent.transformOffsetZ = scrollTweenState.transformOffsetZ;
 
-  const backgroundTarget = normalizeBackgroundInput(nextSection.settings?.background);
+  const backgroundTarget = normalizeBackgroundInput(landing.settings?.background);
   if (backgroundTarget) {
     startBackgroundBlend(backgroundTarget);
   } else {
@@ -942,7 +1030,7 @@ function startSectionTransition(nextIndex, direction = 1, { initialProgress = 0
 
   // Preload the morph target (including colors) at the START of transition
   // This ensures colors are available for smooth interpolation during the entire morph
-  const morphPromise = ensureSectionMorphTarget(nextSection)
+  const morphPromise = ensureSectionMorphTarget(nextSection, { from: prevSection })
     .then(() => {
       sectionState.morphReady = true;
       console.log('[morph] Morph colors ready for section:', nextSection?.id);
@@ -956,11 +1044,22 @@ function startSectionTransition(nextIndex, direction = 1, { initialProgress = 0
   sectionState.pendingPromise = morphPromise;
 
   updateSectionTransition();
+  emitTransitionProgress();
   if (sectionState.transitionProgress >= 1 - 1e-4) {
     beginSectionLoad();
   }
 }
 
+// Section/step camera settings over `fallback`; missing keys keep the current value.
+function resolveCameraPose(target, fallback) {
+  const camera = target || {};
+  return {
+    pathT: typeof camera.pathT === 'number' ? THREE.MathUtils.clamp(camera.pathT, 0, 1) : fallback.pathT,
+    yaw: Number.isFinite(camera.yaw) ? camera.yaw : fallback.yaw,
+    pitch: Number.isFinite(camera.pitch) ? camera.pitch : fallback.pitch,
+  };
+}
+
 function easeInOutCubic(t) {
   const clamped = THREE.MathUtils.clamp(t, 0, 1);
   return clamped < 0.5
@@ -1088,6 +1187,24 @@ function updateSectionTransition() {
       animateBackgroundBlend(0.5 + eased * 0.5);
       break;
     }
+    case 'step': {
+      const eased = easeInOutCubic(stepTransition.progress);
+      // Copy dips out and back in; the text swaps at the bottom of the dip.
+      ensureTextOpacity(Math.abs(1 - 2 * stepTransition.progress));
+
+      // The cloud holds its rest pose; only camera and colours move between steps.
+      tweenToScrollTargets({
+        rotation: sectionState.rotationTarget,
+        scatter: sectionState.scatterRest,
+        morph: 0,
+        colorMix: 0,
+        transform: getSectionTransform(currentSection)
+      });
+      updateCameraPose(eased);
+      animateBackgroundBlend(eased, { immediate: true });
+      setHighlightColor(lerpHexColor(stepTransition.highlightFrom, stepTransition.highlightTo, eased), { updateUI: false });
+      break;
+    }
     case 'idle':
     default: {
       ensureTextOpacity(1);
@@ -1102,7 +1219,14 @@ function updateSectionTransition() {
         colorMix: 0,  // Reset color mix when idle
         transform: currentTransform
       });
-      updateCameraPose(1);
+      // While exploring, OrbitControls owns the camera until the reader returns to the story.
+      if (!exploreState.active) {
+        if (cameraDwell.track) {
+          applyCameraPose(sampleCameraTrack(cameraDwell.track, cameraDwell.elapsed));
+        } else {
+          updateCameraPose(1);
+        }
+      }
       if (!backgroundTransition.active) {
         // ensure gradient matches rest state
         animateBackgroundBlend(0, { immediate: true });
@@ -1123,10 +1247,35 @@ function cancelTransition() {
   sectionState.rotationTarget = sectionState.rotationStart;
   sectionState.rotationMid = sectionState.rotationStart;
   sectionState.cameraEndPose = sectionState.cameraStartPose;
+  sectionState.cameraTrack = null;
   updateCameraPose(0);
+  revertCameraPathBlend();
   updateSectionTransition();
   sectionState.morphReady = false;
   finishBackgroundBlend({ commit: false });
+  flushPendingNavigation();
+}
+
+// Native scroll back across the midpoint: undo the swap beginSectionLoad() made and run the
+// transition backwards through fadeOut, so cancelTransition() settles on the section it left.
+function rewindFadeIn(progress) {
+  if (sectionState.phase !== 'fadeIn') return;
+  const fromSection = getSectionByIndex(sectionState.transitionFromIndex);
+  const fromStep = getSectionStep(fromSection, sectionState.transitionFromStep);
+  sectionState.index = sectionState.transitionFromIndex;
+  sectionState.stepIndex = sectionState.transitionFromStep;
+  sectionState.scatterRest = sectionState.transitionFromScatterRest;
+  applySectionOverrides(fromStep, { skipBackground: true });
+  setBackgroundTextForSection(fromSection);
+  setSectionTextContent(fromStep, sectionState.index);
+  sectionState.phase = 'fadeOut';
+  sectionState.transitionProgress = THREE.MathUtils.clamp(progress, 0, 1);
+  if (sectionState.transitionProgress <= 0) {
+    cancelTransition();
+    return;
+  }
+  updateSectionTransition();
+  emitTransitionProgress();
 }
 
 function beginSectionLoad() {
@@ -1137,6 +1286,7 @@ function beginSectionLoad() {
   }
   sectionState.phase = 'loading';
   updateSectionTransition();
+  emitTransitionProgress();
 
   const morphPromise = sectionState.pendingPromise ?? ensureSectionMorphTarget(nextSection);
   sectionState.pendingPromise = morphPromise;
@@ -1156,21 +1306,29 @@ function beginSectionLoad() {
         setMorphProgress(eased);
       }
       updateSectionTransition();
-      applySectionOverrides(nextSection, { skipBackground: true });
+      const landing = getSectionStep(nextSection, sectionState.nextStepIndex);
+      applySectionOverrides(landing, { skipBackground: true });
       setBackgroundTextForSection(nextSection);
       sectionState.index = sectionState.nextIndex;
-      setSectionTextContent(nextSection, sectionState.index);
+      sectionState.stepIndex = sectionState.nextStepIndex;
+      setSectionTextContent(landing, sectionState.index);
       sectionState.scatterRest = sectionState.nextScatterRest;
       sectionState.transitionProgress = Math.min(1, sectionState.pendingScrollCarry);
       sectionState.pendingScrollCarry = Math.max(0, sectionState.pendingScrollCarry - sectionState.transitionProgress);
       sectionState.phase = 'fadeIn';
       ensureTextOpacity(0);
       updateSectionTransition();
+      storyEvents.emit('sectionload', {
+        section: describeSection(sectionState.index),
+        direction: sectionState.direction,
+      });
+      emitTransitionProgress();
       if (sectionState.transitionProgress >= 1 - 1e-4) {
         completeFadeIn();
       }
     })
     .catch((err) => {
+      // Fetch/parse failures were already reported as `loaderror` by ensureSectionGeometry().
       console.error('[sections] failed to load model for section', nextSection?.id, err);
       sectionState.phase = 'idle';
       sectionState.transitionProgress = 0;
@@ -1194,6 +1352,9 @@ function completeFadeIn() {
   const endPose = sectionState.cameraEndPose || getCurrentCameraPose();
   sectionState.cameraStartPose = { ...endPose };
   sectionState.cameraEndPose = { ...endPose };
+  sectionState.cameraTrack = null;
+  setCameraPath(getSectionCameraPath(getCurrentStep()));
+  startCameraDwell(getCurrentStep());
   cameraPathTarget = THREE.MathUtils.clamp(endPose.pathT, 0, 1);
   cameraPathT = cameraPathTarget;
   cameraYawOffsetDeg = endPose.yaw;
@@ -1215,10 +1376,8 @@ function completeFadeIn() {
       setPointsPositionArray(asset.morphArray);
       
       if (asset.geometry) {
-        const posAttr = points.geometry.getAttribute('position');
-        if (posAttr) baseVertexCount = posAttr.count;
-        originalGeom = asset.geometry.clone();
-        morphTargetOriginal = originalGeom.clone();
+        originalGeom = asset.geometry;
+        morphTargetOriginal = originalGeom;
         refreshAllMorphTargets();
       }
       const updatedPosAttr = points.geometry.getAttribute('position');
@@ -1245,6 +1404,14 @@ function completeFadeIn() {
       if (uniforms?.uMorphFactor) uniforms.uMorphFactor.value = 0;
     }
     currentSectionId = activeSection.id;
+    // Back/forward already moved the history; a transition finishing ahead of it must not push
+    // over the entries after it.
+    const pendingPop = sectionNavigation.pendingIndex !== null && sectionNavigation.pendingReplaceHistory;
+    syncSectionHistory(activeSection, { replace: sectionState.replaceHistory || pendingPop });
+    storyEvents.emit('sectionchange', {
+      section: describeSection(sectionState.index),
+      previous: describeSection(sectionState.transitionFromIndex),
+    });
   }
 
   scrollTweenState.rotation = pointCloudGroup.rotation.y;
@@ -1259,10 +1426,104 @@ function completeFadeIn() {
 
   const leftover = sectionState.pendingScrollCarry;
   sectionState.pendingScrollCarry = 0;
-  if (leftover > 1e-4) {
+  // One wheel gesture moves one section: its remaining deltas (and momentum tail) are dropped.
+  if (sectionState.wheelDriven && WHEEL_CONFIG.lockAfterChange !== false) wheelInput.lock();
+  if (leftover > 1e-4 && !wheelInput.isLocked()) {
     const delta = leftover * SCROLL_PROGRESS_SCALE * sectionState.direction;
     applyScrollDelta(delta);
   }
+  flushPendingNavigation();
+}
+
+// Steps within a section: no spin, scatter or morph, just a timed move of copy, camera and colours.
+const stepTransition = {
+  tween: null,
+  progress: 0,
+  fromIndex: 0,
+  toIndex: 0,
+  textSwapped: false,
+  highlightFrom: '#ffffff',
+  highlightTo: '#ffffff',
+};
+
+function startStepTransition(stepIndex, direction = 1, { animate = true } = {}) {
+  const section = getSectionByIndex(sectionState.index);
+  if (!section || !sectionState.isReady || sectionState.phase !== 'idle') return false;
+  const target = THREE.MathUtils.clamp(Math.trunc(stepIndex) || 0, 0, getSectionStepCount(section) - 1);
+  if (target === sectionState.stepIndex) return false;
+
+  const step = getSectionStep(section, target);
+  sectionState.phase = 'step';
+  sectionState.wheelDriven = false;
+  sectionState.direction = direction >= 0 ? 1 : -1;
+  sectionState.wheelAccumulator = 0;
+  stepTransition.progress = 0;
+  stepTransition.fromIndex = sectionState.stepIndex;
+  stepTransition.toIndex = target;
+  stepTransition.textSwapped = false;
+  stepTransition.highlightFrom = highlightColorHex;
+  stepTransition.highlightTo = step.settings?.highlightColor ?? highlightColorHex;
+  sectionState.cameraStartPose = getCurrentCameraPose();
+  sectionState.cameraEndPose = resolveCameraPose(step.camera, sectionState.cameraStartPose);
+  sectionState.cameraTrack = buildCameraTrack(step.cameraKeyframes, 'scroll', {
+    from: sectionState.cameraStartPose,
+    to: sectionState.cameraEndPose,
+  });
+  beginCameraPathBlend(getSectionCameraPath(step));
+  const backgroundTarget = normalizeBackgroundInput(step.settings?.background);
+  if (backgroundTarget) {
+    startBackgroundBlend(backgroundTarget);
+  } else {
+    finishBackgroundBlend({ commit: false });
+  }
+
+  stepTransition.tween?.kill();
+  stepTransition.tween = null;
+  if (!animate) {
+    completeStepTransition();
+    return true;
+  }
+  stepTransition.tween = gsap.to(stepTransition, {
+    progress: 1,
+    duration: Math.max(0.05, STEP_DURATION),
+    ease: 'none',
+    onUpdate: () => {
+      if (stepTransition.progress >= 0.5) swapStepText();
+    },
+    onComplete: completeStepTransition,
+  });
+  return true;
+}
+
+function swapStepText() {
+  if (stepTransition.textSwapped) return;
+  stepTransition.textSwapped = true;
+  sectionState.stepIndex = stepTransition.toIndex;
+  setSectionTextContent(getCurrentStep(), sectionState.index);
+}
+
+function completeStepTransition() {
+  stepTransition.tween = null;
+  stepTransition.progress = 1;
+  swapStepText();
+  updateSectionTransition();
+  sectionState.phase = 'idle';
+  sectionState.cameraStartPose = { ...sectionState.cameraEndPose };
+  sectionState.cameraTrack = null;
+  setCameraPath(getSectionCameraPath(getCurrentStep()));
+  startCameraDwell(getCurrentStep());
+  setHighlightColor(stepTransition.highlightTo);
+  const appliedColors = finishBackgroundBlend({ commit: true });
+  if (appliedColors) {
+    updateBackgroundControls(appliedColors);
+  }
+  storyEvents.emit('stepchange', {
+    section: describeSection(sectionState.index),
+    step: sectionState.stepIndex,
+    previous: stepTransition.fromIndex,
+  });
+  if (sectionState.wheelDriven && WHEEL_CONFIG.lockAfterChange !== false) wheelInput.lock();
+  flushPendingNavigation();
 }
 
 function advanceTransitionProgress(stepRaw) {
@@ -1285,11 +1546,13 @@ function advanceTransitionProgress(stepRaw) {
       sectionState.pendingScrollCarry += Math.max(0, next - 1);
       sectionState.transitionProgress = 1;
       updateSectionTransition();
+      emitTransitionProgress();
       beginSectionLoad();
       return;
     }
     sectionState.transitionProgress = THREE.MathUtils.clamp(next, 0, 1);
     updateSectionTransition();
+    emitTransitionProgress();
     return;
   }
 
@@ -1299,21 +1562,25 @@ function advanceTransitionProgress(stepRaw) {
       sectionState.pendingScrollCarry += Math.max(0, next - 1);
       sectionState.transitionProgress = 1;
       updateSectionTransition();
+      emitTransitionProgress();
       completeFadeIn();
       return;
     }
     sectionState.transitionProgress = THREE.MathUtils.clamp(next, 0, 1);
     updateSectionTransition();
+    emitTransitionProgress();
   }
 }
 
-function applyScrollDelta(delta, { isTouch = false } = {}) {
+// `thresholdScale` comes from the wheel input: below 1 for fast swipes, well above for momentum.
+function applyScrollDelta(delta, { isTouch = false, thresholdScale = 1, fromWheel = false } = {}) {
   if (!sectionState.isReady) return;
   const progressScale = isTouch ? TOUCH_PROGRESS_SCALE : SCROLL_PROGRESS_SCALE;
-  const threshold = isTouch ? TOUCH_TRIGGER_THRESHOLD : SCROLL_TRIGGER_THRESHOLD;
+  const threshold = (isTouch ? TOUCH_TRIGGER_THRESHOLD : SCROLL_TRIGGER_THRESHOLD) * thresholdScale;
   const normalized = delta / progressScale;
 
   if (sectionState.phase === 'fadeOut' || sectionState.phase === 'fadeIn') {
+    if (fromWheel) sectionState.wheelDriven = true;
     advanceTransitionProgress(normalized);
     return;
   }
@@ -1327,27 +1594,700 @@ function applyScrollDelta(delta, { isTouch = false } = {}) {
     return;
   }
 
+  // A step change is short and timed; input during it is dropped like a locked wheel gesture.
+  if (sectionState.phase === 'step') return;
+
   sectionState.wheelAccumulator += delta;
+  const pushDirection = sectionState.wheelAccumulator > 0 ? 1 : -1;
+  const nextStep = sectionState.stepIndex + pushDirection;
+  const hasStep = nextStep >= 0 && nextStep < getSectionStepCount(getSectionByIndex(sectionState.index));
+  const adjacentIndex = getAdjacentSectionIndex(sectionState.index, pushDirection);
+  if (!hasStep && adjacentIndex < 0) {
+    applyBoundaryResistance(pushDirection, threshold);
+    return;
+  }
   if (Math.abs(sectionState.wheelAccumulator) >= threshold) {
-    const direction = sectionState.wheelAccumulator > 0 ? 1 : -1;
+    if (hasStep) {
+      if (startStepTransition(nextStep, pushDirection)) sectionState.wheelDriven = fromWheel;
+      return;
+    }
+    const direction = pushDirection;
     const overshoot = sectionState.wheelAccumulator - direction * threshold;
     const progressRaw = Math.abs(overshoot) / progressScale;
     const initialProgress = Math.min(1, progressRaw);
     const carry = Math.max(0, progressRaw - initialProgress);
     sectionState.wheelAccumulator = 0;
-    startSectionTransition(normalizeSectionIndex(sectionState.index + direction), direction, { initialProgress });
+    startSectionTransition(adjacentIndex, direction, { initialProgress });
+    sectionState.wheelDriven = fromWheel;
     if (carry > 0) {
       sectionState.pendingScrollCarry = carry;
     }
   }
 }
 
+// Native scroll mode: the page scrolls through one block per stop (each step of each section)
+// and the fractional scroll position between sections drives transitionProgress (first half
+// fadeOut, second half fadeIn). Between steps of one section it only picks the step.
+const scrollDrive = {
+  track: null,
+  stops: [],              // [{ index, step }] in track order
+  requestedStop: null,    // programmatic scroll target, so repeated next() calls stack
+  endNotified: false,     // scrolled into the end block (storyend sent)
+};
+
+function buildScrollStops() {
+  const stops = [];
+  sections.forEach((section, index) => {
+    for (let step = 0; step < getSectionStepCount(section); step += 1) stops.push({ index, step });
+  });
+  return stops;
+}
+
+function getStopIndex(index, step = 0) {
+  return Math.max(0, scrollDrive.stops.findIndex((stop) => stop.index === index && stop.step === step));
+}
+
+// Later steps only add their body to the document outline; eyebrow and title belong to the section.
+function getStopText(stop, field) {
+  if (stop.step > 0 && field !== 'body') return '';
+  return getSectionPlainText(getSectionStep(sections[stop.index], stop.step), field);
+}
+
+function syncScrollTrackStop() {
+  scrollDrive.track?.setActive(getStopIndex(sectionState.index, sectionState.stepIndex));
+}
+
+// Scrolling on past the last block ends the story; scrolling back up takes the end panel away.
+function updateScrollTrackEnd() {
+  const overscroll = scrollDrive.track.getOverscroll();
+  if (overscroll >= 0.5 && !scrollDrive.endNotified && sectionState.phase === 'idle') {
+    scrollDrive.endNotified = true;
+    notifyStoryEnd();
+  } else if (overscroll < 0.5 && scrollDrive.endNotified) {
+    scrollDrive.endNotified = false;
+    hideStoryEnd();
+  }
+}
+
+function setupScrollTrack(initialIndex) {
+  if (!SCROLL_DRIVEN) return;
+  scrollDrive.stops = buildScrollStops();
+  scrollDrive.track = createScrollTrack(scrollDrive.stops, {
+    getSlug: (stop) => (stop.step === 0 ? getSectionSlug(sections[stop.index]) : null),
+    getTitle: (stop) => (stop.step === 0 ? getSectionDisplayTitle(getSectionStep(sections[stop.index], 0)) : ''),
+    getText: getStopText,
+    snap: SECTION_TRANSITION.scrollSnap ?? 'mandatory',
+  });
+  // The track carries the copy for assistive tech; don't read the floating duplicate too.
+  floatingTextEl?.setAttribute('aria-hidden', 'true');
+  // OrbitControls sets touch-action: none, which would stop touch scrolling over the canvas.
+  renderer.domElement.style.touchAction = 'pan-y';
+  if ('scrollRestoration' in history) history.scrollRestoration = 'manual';
+  const initialStop = getStopIndex(initialIndex, 0);
+  scrollDrive.track.scrollToIndex(initialStop, { smooth: false });
+  scrollDrive.track.setActive(initialStop);
+  storyEvents.on('sectionchange', syncScrollTrackStop);
+  storyEvents.on('stepchange', syncScrollTrackStop);
+}
+
+function scrollToSectionBlock(targetIndex, { step = 0, animate = true } = {}) {
+  if (!scrollDrive.track) return false;
+  scrollDrive.requestedStop = getStopIndex(targetIndex, step);
+  scrollDrive.track.scrollToIndex(scrollDrive.requestedStop, { smooth: animate });
+  return true;
+}
+
+// Track position in stops -> position in sections; steps of one section all sit on its index.
+function getScrollSectionPosition(stopPosition) {
+  const stops = scrollDrive.stops;
+  const base = Math.min(Math.floor(stopPosition), stops.length - 1);
+  const from = stops[base];
+  const to = stops[base + 1];
+  if (!from) return sectionState.index;
+  if (!to || to.index === from.index) return from.index;
+  return from.index + (stopPosition - base) * (to.index - from.index);
+}
+
+// Move transitionProgress to `target` without overshooting into pendingScrollCarry.
+function driveTransitionTo(target) {
+  const progress = sectionState.transitionProgress;
+  const step = target >= 1 ? 1 - progress + 1e-6 : target - progress;
+  if (Math.abs(step) < 1e-5) return;
+  advanceTransitionProgress(step * (sectionState.direction || 1));
+}
+
+function updateScrollDrivenTransition() {
+  const track = scrollDrive.track;
+  if (!track || !sectionState.isReady || exploreState.active) return;
+  updateScrollTrackEnd();
+  const stopPosition = track.getPosition();
+  if (scrollDrive.requestedStop !== null && Math.abs(stopPosition - scrollDrive.requestedStop) < 0.01) {
+    scrollDrive.requestedStop = null;
+  }
+  const position = getScrollSectionPosition(stopPosition);
+
+  const phase = sectionState.phase;
+  if (phase === 'idle') {
+    const offset = position - sectionState.index;
+    if (Math.abs(offset) < 0.01) {
+      const stop = scrollDrive.stops[Math.round(stopPosition)];
+      if (stop?.index === sectionState.index && stop.step !== sectionState.stepIndex) {
+        startStepTransition(stop.step, stop.step > sectionState.stepIndex ? 1 : -1);
+      }
+      return;
+    }
+    const direction = offset > 0 ? 1 : -1;
+    // Scrollbar drags can skip blocks; head straight for the nearest one rather than hopping.
+    const span = Math.max(1, Math.round(Math.abs(offset)));
+    const targetIndex = THREE.MathUtils.clamp(sectionState.index + direction * span, 0, getSectionCount() - 1);
+    if (targetIndex === sectionState.index) return;
+    const midpoint = (sectionState.index + targetIndex) * 0.5;
+    const initialProgress = THREE.MathUtils.clamp(offset / (midpoint - sectionState.index), 0, 1);
+    startSectionTransition(targetIndex, direction, { initialProgress });
+    return;
+  }
+  if (phase !== 'fadeOut' && phase !== 'fadeIn') return; // loading resolves on its own
+
+  const from = sectionState.transitionFromIndex;
+  const to = sectionState.nextIndex;
+  const midpoint = (from + to) * 0.5;
+  if (phase === 'fadeOut') {
+    driveTransitionTo(THREE.MathUtils.clamp((position - from) / (midpoint - from), 0, 1));
+    return;
+  }
+  const target = (position - midpoint) / (to - midpoint);
+  if (target < 0) {
+    rewindFadeIn((position - from) / (midpoint - from));
+    return;
+  }
+  driveTransitionTo(Math.min(1, target));
+}
+
+// Non-looping stories: the first/last section stretch (scatter) instead of wrapping around.
+const boundaryState = {
+  active: false,
+  lastInputTime: 0,
+  endNotified: false,
+};
+
+function applyBoundaryResistance(direction, threshold) {
+  const limit = threshold * 1.5;
+  sectionState.wheelAccumulator = THREE.MathUtils.clamp(sectionState.wheelAccumulator, -limit, limit);
+  const stretch = Math.min(1, Math.abs(sectionState.wheelAccumulator) / Math.max(threshold, 1e-3));
+  boundaryState.active = true;
+  boundaryState.lastInputTime = performance.now();
+  setScatterTarget(sectionState.scatterRest + stretch * BOUNDARY_SCATTER);
+  if (direction > 0 && stretch >= 1 && !boundaryState.endNotified) {
+    boundaryState.endNotified = true;
+    notifyStoryEnd();
+  }
+}
+
+function updateBoundaryResistance(dt) {
+  if (!boundaryState.active) return;
+  if (sectionState.phase !== 'idle') {
+    boundaryState.active = false;
+    boundaryState.endNotified = false;
+    return;
+  }
+  if (performance.now() - boundaryState.lastInputTime < 120) return;
+  // Spring back once input stops.
+  sectionState.wheelAccumulator *= Math.exp(-8 * dt);
+  const stretch = Math.min(1, Math.abs(sectionState.wheelAccumulator) / Math.max(SCROLL_TRIGGER_THRESHOLD, 1e-3));
+  if (stretch < 0.01) {
+    sectionState.wheelAccumulator = 0;
+    boundaryState.active = false;
+    boundaryState.endNotified = false;
+    setScatterTarget(sectionState.scatterRest);
+    return;
+  }
+  setScatterTarget(sectionState.scatterRest + stretch * BOUNDARY_SCATTER);
+}
+
+function notifyStoryEnd() {
+  const section = getSectionByIndex(sectionState.index);
+  console.log('[sections] reached end of story at', section?.id);
+  storyEvents.emit('storyend', { section: describeSection(sectionState.index) });
+  if (STORY_END?.showCta) showStoryEnd();
+}
+
+function renderStoryEndText() {
+  if (!storyEndEl || !STORY_END) return;
+  const eyebrowEl = storyEndEl.querySelector('.story-end-eyebrow');
+  const titleEl = storyEndEl.querySelector('.story-end-title');
+  const bodyEl = storyEndEl.querySelector('.story-end-body');
+  const restartEl = storyEndEl.querySelector('.story-end-restart');
+  const linkEl = storyEndEl.querySelector('.story-end-link');
+  if (eyebrowEl) eyebrowEl.textContent = getLocalizedText(STORY_END.eyebrow) ?? '';
+  if (titleEl) {
+    const title = getLocalizedText(STORY_END.title);
+    const lines = Array.isArray(title) ? title : [title ?? ''];
+    titleEl.textContent = '';
+    lines.forEach((line, index) => {
+      if (index > 0) titleEl.appendChild(document.createElement('br'));
+      titleEl.appendChild(document.createTextNode(String(line ?? '')));
+    });
+  }
+  if (bodyEl) {
+    const body = getLocalizedText(STORY_END.body);
+    bodyEl.textContent = body ?? '';
+    bodyEl.hidden = !body;
+  }
+  if (restartEl) {
+    restartEl.textContent = getLocalizedText(STORY_END.restartLabel) ?? 'Start again';
+  }
+  if (linkEl) {
+    const href = STORY_END.link?.href;
+    linkEl.hidden = !href;
+    if (href) {
+      linkEl.href = href;
+      linkEl.textContent = getLocalizedText(STORY_END.link.label) ?? href;
+    }
+  }
+}
+
+function setupStoryEnd() {
+  if (!storyEndEl || !STORY_END) return;
+  renderStoryEndText();
+  storyEndEl.querySelector('.story-end-restart')?.addEventListener('click', () => {
+    hideStoryEnd();
+    goToSection(0);
+  });
+}
+
+function showStoryEnd() {
+  if (!storyEndEl) return;
+  storyEndEl.hidden = false;
+  requestAnimationFrame(() => storyEndEl.classList.add('is-visible'));
+}
+
+function hideStoryEnd() {
+  if (!storyEndEl || storyEndEl.hidden) return;
+  storyEndEl.classList.remove('is-visible');
+  storyEndEl.hidden = true;
+}
+
+// Deep links: each section is addressable as #<id> (lower-cased), e.g. #server.
+const sectionHistory = {
+  enabled: typeof history !== 'undefined' && typeof history.pushState === 'function',
+};
+
+// Time-driven navigation (keys, goToSection(), history) reuses the scroll state machine
+// but advances transitionProgress from the animate loop instead of wheel deltas.
+const sectionNavigation = {
+  autoActive: false,
+  autoDirection: 1,       // 1 = play the transition through, -1 = revert it
+  pendingIndex: null,
+  pendingStep: 0,
+  pendingDirection: 1,
+  pendingAnimate: true,
+  pendingReplaceHistory: false, // queued by the back/forward button: don't push history entries
+};
+
+function getSectionSlug(section) {
+  return String(section?.id ?? '').trim().toLowerCase();
+}
+
+function findSectionIndexById(id) {
+  if (typeof id !== 'string') return -1;
+  const slug = id.trim().toLowerCase();
+  if (!slug) return -1;
+  return sections.findIndex((section) => getSectionSlug(section) === slug);
+}
+
+// A section's `id` doubles as its deep link: `index.html#closer-to-home` opens the story there.
+function getSectionIndexFromHash() {
+  if (typeof location === 'undefined') return -1;
+  let raw = location.hash.replace(/^#/, '');
+  try { raw = decodeURIComponent(raw); } catch {}
+  return findSectionIndexById(raw);
+}
+
+function syncSectionHistory(section, { replace = false } = {}) {
+  if (!sectionHistory.enabled || !section) return;
+  const slug = getSectionSlug(section);
+  if (!slug) return;
+  const hash = `#${encodeURIComponent(slug)}`;
+  const state = { ...(history.state || {}), sectionId: section.id };
+  try {
+    // In native scroll mode the scrollbar is the history; don't push an entry per block.
+    if (replace || SCROLL_DRIVEN || location.hash === hash) {
+      history.replaceState(state, '', hash);
+    } else {
+      history.pushState(state, '', hash);
+    }
+  } catch (err) {
+    console.warn('[history] failed to update location for section', section.id, err);
+  }
+}
+
+function resolveSectionIndex(idOrIndex) {
+  if (typeof idOrIndex === 'number' && Number.isFinite(idOrIndex)) {
+    const index = Math.trunc(idOrIndex);
+    if (getSectionCount() <= 0) return -1;
+    if (!STORY_LOOPS && (index < 0 || index >= getSectionCount())) return -1;
+    return normalizeSectionIndex(index);
+  }
+  if (typeof idOrIndex === 'string') return findSectionIndexById(idOrIndex);
+  if (idOrIndex && typeof idOrIndex === 'object') return findSectionIndexById(idOrIndex.id);
+  return -1;
+}
+
+// Section and step the next request should be relative to: queued target, then in-flight target.
+function getNavigationBase() {
+  if (scrollDrive.track) {
+    const stop = scrollDrive.requestedStop ?? Math.round(scrollDrive.track.getPosition());
+    return scrollDrive.stops[stop] ?? { index: sectionState.index, step: sectionState.stepIndex };
+  }
+  if (sectionNavigation.pendingIndex !== null) {
+    return { index: sectionNavigation.pendingIndex, step: sectionNavigation.pendingStep };
+  }
+  if (sectionState.phase === 'step') return { index: sectionState.index, step: stepTransition.toIndex };
+  const landing = { index: sectionState.nextIndex, step: sectionState.nextStepIndex };
+  if (sectionState.phase === 'loading') return landing;
+  if (sectionState.phase === 'fadeOut' && sectionNavigation.autoActive && sectionNavigation.autoDirection > 0) {
+    return landing;
+  }
+  return { index: sectionState.index, step: sectionState.stepIndex };
+}
+
+function getNavigationBaseIndex() {
+  return getNavigationBase().index;
+}
+
+// `step` defaults to the first beat going forwards and the last going backwards.
+function requestSectionNavigation(targetIndex, direction, { animate = true, step, replaceHistory = false } = {}) {
+  const directionSign = direction >= 0 ? 1 : -1;
+  const targetStep = getLandingStep(getSectionByIndex(targetIndex), directionSign, step);
+  // Chapter index, back button and API calls end exploring; the move runs once the camera is back.
+  if (exploreState.active) exitExploreMode();
+
+  if (scrollDrive.track) {
+    // Native scroll mode: move the page and let updateScrollDrivenTransition() follow.
+    sectionNavigation.pendingIndex = null;
+    return scrollToSectionBlock(targetIndex, { step: targetStep, animate });
+  }
+
+  const phase = sectionState.phase;
+
+  if (sectionState.isReady && (phase === 'fadeOut' || phase === 'loading')
+    && targetIndex === sectionState.nextIndex && targetStep === sectionState.nextStepIndex) {
+    sectionNavigation.pendingIndex = null;
+    sectionState.replaceHistory ||= replaceHistory;
+    sectionNavigation.autoActive = true;
+    sectionNavigation.autoDirection = 1;
+    return true;
+  }
+  if (sectionState.isReady && phase === 'fadeOut' && targetIndex === sectionState.index) {
+    // Revert; a different step of this section follows once the cloud is back at rest.
+    sectionNavigation.pendingIndex = targetStep === sectionState.stepIndex ? null : targetIndex;
+    sectionNavigation.pendingStep = targetStep;
+    sectionNavigation.pendingDirection = directionSign;
+    sectionNavigation.pendingAnimate = animate;
+    sectionNavigation.pendingReplaceHistory = replaceHistory;
+    sectionNavigation.autoActive = true;
+    sectionNavigation.autoDirection = -1;
+    return true;
+  }
+
+  if (!sectionState.isReady || phase !== 'idle' || exploreState.active) {
+    // Let the running transition (even one parked mid-scroll) finish, then run this one.
+    sectionNavigation.pendingIndex = targetIndex;
+    sectionNavigation.pendingStep = targetStep;
+    sectionNavigation.pendingDirection = directionSign;
+    sectionNavigation.pendingAnimate = animate;
+    sectionNavigation.pendingReplaceHistory = replaceHistory;
+    if (sectionState.isReady) {
+      sectionNavigation.autoActive = true;
+      sectionNavigation.autoDirection = 1;
+    }
+    return true;
+  }
+
+  sectionNavigation.pendingIndex = null;
+  if (targetIndex === sectionState.index) {
+    return startStepTransition(targetStep, directionSign, { animate });
+  }
+
+  if (animate) {
+    sectionNavigation.autoActive = true;
+    sectionNavigation.autoDirection = 1;
+    startSectionTransition(targetIndex, directionSign, { step: targetStep, replaceHistory });
+  } else {
+    startSectionTransition(targetIndex, directionSign, { initialProgress: 1, step: targetStep, replaceHistory });
+    // Carry a full unit into fadeIn so the jump settles without further input.
+    sectionState.pendingScrollCarry = 1;
+  }
+  return true;
+}
+
+function flushPendingNavigation() {
+  if (sectionNavigation.pendingIndex === null) return;
+  if (!sectionState.isReady || sectionState.phase !== 'idle' || exploreState.active) return;
+  const { pendingIndex, pendingStep, pendingDirection, pendingAnimate, pendingReplaceHistory } = sectionNavigation;
+  sectionNavigation.pendingIndex = null;
+  sectionNavigation.pendingReplaceHistory = false;
+  requestSectionNavigation(pendingIndex, pendingDirection, {
+    animate: pendingAnimate,
+    step: pendingStep,
+    replaceHistory: pendingReplaceHistory,
+  });
+}
+
+function updateSectionNavigation(dt) {
+  if (!sectionNavigation.autoActive) return;
+  const phase = sectionState.phase;
+  if (phase === 'idle') {
+    sectionNavigation.autoActive = false;
+    return;
+  }
+  if (phase !== 'fadeOut' && phase !== 'fadeIn') return; // loading resolves on its own
+
+  const duration = Math.max(0.05, SECTION_NAVIGATE_DURATION);
+  const step = Math.max(0, dt) / duration;
+  const direction = sectionState.direction || 1;
+  if (sectionNavigation.autoDirection < 0 && phase === 'fadeOut') {
+    advanceTransitionProgress(-step * direction);
+    return;
+  }
+  // Never overshoot: leftover progress would be carried into the next section as scroll.
+  const remaining = 1 - sectionState.transitionProgress;
+  advanceTransitionProgress(Math.min(remaining, step) * direction);
+}
+
+// Finish or revert a transition left half-done, whichever end is nearer.
+function settleTransition() {
+  const phase = sectionState.phase;
+  if (phase !== 'fadeOut' && phase !== 'fadeIn') return false;
+  if (sectionNavigation.autoActive) return false;
+  sectionNavigation.autoActive = true;
+  sectionNavigation.autoDirection = phase === 'fadeOut' && sectionState.transitionProgress < 0.5 ? -1 : 1;
+  return true;
+}
+
+// Fling: run the transition out in the direction of the throw (fadeIn can only finish).
+function flingTransition(direction) {
+  const phase = sectionState.phase;
+  if (phase !== 'fadeOut' && phase !== 'fadeIn') return false;
+  sectionNavigation.autoActive = true;
+  sectionNavigation.autoDirection = phase === 'fadeOut' && direction !== sectionState.direction ? -1 : 1;
+  return true;
+}
+
+// Whatever the input, a transition that stops moving for SETTLE_DELAY runs out to the nearer end.
+const settleState = {
+  phase: 'idle',
+  progress: 0,
+  stillFor: 0,
+};
+
+function updateTransitionSettle(dt) {
+  const phase = sectionState.phase;
+  const progress = sectionState.transitionProgress;
+  const moving = phase !== settleState.phase || Math.abs(progress - settleState.progress) > 1e-4;
+  settleState.phase = phase;
+  settleState.progress = progress;
+  if (moving) {
+    settleState.stillFor = 0;
+    return;
+  }
+  // Native scroll mode mirrors the page position, so scroll-snap does the settling there.
+  if (SETTLE_DELAY === false || SCROLL_DRIVEN || sectionNavigation.autoActive) return;
+  if (phase !== 'fadeOut' && phase !== 'fadeIn') return;
+  settleState.stillFor += dt;
+  if (settleState.stillFor >= Math.max(0, Number(SETTLE_DELAY) || 0)) settleTransition();
+}
+
+function updateWheelRelease() {
+  if (!wheelInput.pollRelease()) return;
+  if (WHEEL_CONFIG.snapOnRelease === false) return;
+  settleTransition();
+}
+
+function goToSection(idOrIndex, { animate = true } = {}) {
+  const targetIndex = resolveSectionIndex(idOrIndex);
+  if (targetIndex < 0) {
+    console.warn('[sections] goToSection: unknown section', idOrIndex);
+    return false;
+  }
+  const base = getNavigationBaseIndex();
+  const direction = targetIndex >= base ? 1 : -1;
+  return requestSectionNavigation(targetIndex, direction, { animate, step: 0 });
+}
+
+function goToNextSection({ animate = true } = {}) {
+  if (getSectionCount() <= 1) return false;
+  const target = getAdjacentSectionIndex(getNavigationBaseIndex(), 1);
+  if (target < 0) {
+    notifyStoryEnd();
+    return false;
+  }
+  return requestSectionNavigation(target, 1, { animate, step: 0 });
+}
+
+function goToPreviousSection({ animate = true } = {}) {
+  if (getSectionCount() <= 1) return false;
+  const target = getAdjacentSectionIndex(getNavigationBaseIndex(), -1);
+  if (target < 0) return false;
+  return requestSectionNavigation(target, -1, { animate, step: 0 });
+}
+
+// Next beat of the story: the section's following step, else the next section.
+function goToNextStep({ animate = true } = {}) {
+  const base = getNavigationBase();
+  if (base.step < getSectionStepCount(getSectionByIndex(base.index)) - 1) {
+    return requestSectionNavigation(base.index, 1, { animate, step: base.step + 1 });
+  }
+  return goToNextSection({ animate });
+}
+
+function goToPreviousStep({ animate = true } = {}) {
+  const base = getNavigationBase();
+  if (base.step > 0) {
+    return requestSectionNavigation(base.index, -1, { animate, step: base.step - 1 });
+  }
+  if (getSectionCount() <= 1) return false;
+  const target = getAdjacentSectionIndex(base.index, -1);
+  if (target < 0) return false;
+  return requestSectionNavigation(target, -1, { animate });
+}
+
+function getSectionDwell(section) {
+  const dwell = Number(section?.autoplay?.dwell ?? AUTOPLAY_CONFIG.dwell ?? 8);
+  return Number.isFinite(dwell) ? Math.max(0, dwell) : 8;
+}
+
+function setAutoplayEnabled(enabled) {
+  autoplayState.enabled = !!enabled;
+  autoplayState.idleElapsed = 0;
+  autoplayState.dwellElapsed = 0;
+}
+
+function noteUserActivity({ takesControl = false } = {}) {
+  autoplayState.idleElapsed = 0;
+  autoplayState.dwellElapsed = 0;
+  if (takesControl && autoplayState.driving) {
+    // Scroll/touch now owns transitionProgress; stop the timer from pushing it along.
+    autoplayState.driving = false;
+    sectionNavigation.autoActive = false;
+  }
+}
+
+function updateAutoplay(dt) {
+  if (!autoplayState.enabled || !sectionState.isReady || exploreState.active) return;
+  autoplayState.idleElapsed += dt;
+  if (sectionState.phase !== 'idle') {
+    autoplayState.dwellElapsed = 0;
+    return;
+  }
+  autoplayState.driving = false;
+  autoplayState.dwellElapsed += dt;
+
+  const idleDelay = Math.max(0, Number(AUTOPLAY_CONFIG.idleDelay ?? 20) || 0);
+  if (autoplayState.idleElapsed < idleDelay) return;
+  if (autoplayState.dwellElapsed < getSectionDwell(getCurrentStep())) return;
+
+  autoplayState.dwellElapsed = 0;
+  const onLastStep = sectionState.stepIndex >= getSectionStepCount(getSectionByIndex(sectionState.index)) - 1;
+  if (onLastStep && getAdjacentSectionIndex(sectionState.index, 1) < 0) {
+    // Non-looping story: attract mode starts over instead of stopping at the end.
+    autoplayState.driving = goToSection(0);
+    return;
+  }
+  autoplayState.driving = goToNextStep();
+}
+
+function handleSectionPopState() {
+  const targetIndex = getSectionIndexFromHash();
+  if (targetIndex < 0) return;
+  const direction = targetIndex >= getNavigationBaseIndex() ? 1 : -1;
+  requestSectionNavigation(targetIndex, direction, { step: 0, replaceHistory: true });
+}
+
+function isTextEntryTarget(target) {
+  if (!(target instanceof Element)) return false;
+  if (target.isContentEditable) return true;
+  return !!target.closest('input, textarea, select');
+}
+
+function handleNavigationKeydown(event) {
+  if (event.defaultPrevented || event.altKey || event.ctrlKey || event.metaKey) return;
+  if (isTextEntryTarget(event.target)) return;
+  if (exploreState.active) {
+    // Arrow keys belong to the orbit while exploring; Escape returns to the story.
+    if (event.key === 'Escape') {
+      exitExploreMode();
+      event.preventDefault();
+    }
+    return;
+  }
+  switch (event.key) {
+    case 'ArrowDown':
+    case 'PageDown':
+      goToNextStep();
+      break;
+    case 'ArrowUp':
+    case 'PageUp':
+      goToPreviousStep();
+      break;
+    case 'Home':
+      goToSection(0);
+      break;
+    case 'End':
+      goToSection(getSectionCount() - 1);
+      break;
+    case ' ':
+    case 'Spacebar':
+      // Space on a focused button/link should activate it, not advance the story.
+      if (event.target instanceof Element && event.target.closest('button, a, summary')) return;
+      if (event.shiftKey) goToPreviousStep(); else goToNextStep();
+      break;
+    default:
+      return;
+  }
+  event.preventDefault();
+}
+
+function reportSectionIssues(issues) {
+  issues.forEach(({ level, sectionId, field, message }) => {
+    const log = level === 'error' ? console.error : console.warn;
+    log('[sections]', sectionId ? `${sectionId}.${field}:` : `${field}:`, message);
+  });
+  if (DEV_MODE) showValidationOverlay(issues);
+}
+
+function runSectionDiagnostics() {
+  reportSectionIssues(validateSections(sections));
+  if (!DEV_MODE) return;
+  storyEvents.on('loaderror', ({ path, section, error }) => {
+    showValidationOverlay([{
+      level: 'error',
+      sectionId: section?.id ?? null,
+      field: 'load',
+      message: `${path ?? 'model'}: ${error?.message ?? error}`,
+    }]);
+  });
+  checkSectionAssets(sections)
+    .then(reportSectionIssues)
+    .catch((err) => console.warn('[sections] asset check failed', err));
+}
+
 function bootstrapSections() {
+  runSectionDiagnostics();
   if (sectionCountEl) {
     sectionCountEl.textContent = formatSectionNumber(getSectionCount());
   }
-
-  const initialSection = getSectionByIndex(0);
+  setupLocaleToggle();
+  setupExploreToggle();
+  setupPathEditorToggle();
+  sectionBodyEl?.addEventListener('click', handleFootnoteClick);
+  setupChapterIndex();
+  setupStoryEnd();
+
+  const hashIndex = getSectionIndexFromHash();
+  const initialIndex = hashIndex >= 0 ? hashIndex : 0;
+  setupScrollTrack(initialIndex);
+  const initialSection = getSectionByIndex(initialIndex);
   if (!initialSection) {
     loadModel(DEFAULT_MODEL_PATH);
     updateFog();
@@ -1357,8 +2297,10 @@ function bootstrapSections() {
     return;
   }
 
-  sectionState.index = 0;
-  sectionState.pendingIndex = 0;
+  const initialStep = getSectionStep(initialSection, 0);
+  sectionState.index = initialIndex;
+  sectionState.stepIndex = 0;
+  sectionState.pendingIndex = initialIndex;
   sectionState.phase = 'boot';
   sectionState.phaseElapsed = 0;
   sectionState.transitionElapsed = 0;
@@ -1366,21 +2308,26 @@ function bootstrapSections() {
   sectionState.rotationTarget = sectionState.rotationStart;
   sectionState.scatterRest = initialSection.transition?.scatterIn ?? SECTION_TRANSITION.scatterIn ?? 0.04;
   currentSectionId = initialSection.id;
-  setSectionTextContent(initialSection, 0);
+  syncSectionHistory(initialSection, { replace: true });
+  setSectionTextContent(initialStep, initialIndex);
   setBackgroundTextForSection(initialSection);
-  setSectionCameraPose(initialSection, { immediate: true });
+  setSectionCameraPose(initialStep, { immediate: true });
   setScatterTarget(sectionState.scatterRest);
   setScatterAmplitude(sectionState.scatterRest, { syncTarget: false });
   setTextOpacityTarget(0, { immediate: true });
   sectionState.cameraStartPose = getCurrentCameraPose();
   sectionState.cameraEndPose = { ...sectionState.cameraStartPose };
 
-  loadModel(initialSection.modelPath, { resetPathProgress: true })
+  loadModel(initialSection.modelPath, {
+    resetPathProgress: true,
+    distanceScale: getSectionCameraPath(initialSection).distanceScale,
+  })
     .then(() => {
-      applySectionOverrides(initialSection);
-      setSectionCameraPose(initialSection, { immediate: true });
+      applySectionOverrides(initialStep);
+      setSectionCameraPose(initialStep, { immediate: true });
       sectionState.cameraStartPose = getCurrentCameraPose();
       sectionState.cameraEndPose = { ...sectionState.cameraStartPose };
+      startCameraDwell(initialStep);
       sectionState.phase = 'idle';
       sectionState.isReady = true;
       setTextOpacityTarget(1);
@@ -1394,6 +2341,7 @@ function bootstrapSections() {
       scrollTargetsCurrent.morph = scrollTweenState.morph;
       scrollTargetsCurrent.colorMix = scrollTweenState.colorMix;
       applyScrollTweenState();
+      flushPendingNavigation();
     })
     .catch((err) => {
       console.error('[sections] failed to bootstrap initial section', err);
@@ -1431,7 +2379,6 @@ scene.add(pointCloudGroup);
 
 let points = null;       // point cloud (declared early for gradient helpers)
 
-const HEX_PATTERN = /^#?([0-9a-fA-F]{6})([0-9a-fA-F]{2})?$/;
 // Approximation of the gradient used in Codrops' “Interactive Landscape” demo (index2).
 let backgroundGradient = {
   top: '#4f6469',
@@ -1466,6 +2413,55 @@ function encodeGlowMode(mode) {
   return GLOW_MODE_ENUM[mode] ?? GLOW_MODE_ENUM.wave;
 }
 
+// Morph choreography, chosen per transition (transitionRules `morphStyle`); see morphPosition() in the shader.
+const MORPH_STYLE_ENUM = Object.fromEntries(MORPH_STYLES.map((style, index) => [style, index]));
+const MORPH_AXES = {
+  x: new THREE.Vector3(1, 0, 0),
+  y: new THREE.Vector3(0, 1, 0),
+  z: new THREE.Vector3(0, 0, 1),
+};
+const morphStyleState = {
+  style: 'linear',
+  axis: new THREE.Vector3(1, 0, 0),
+  spread: 0.5,
+};
+
+function encodeMorphStyle(style) {
+  return MORPH_STYLE_ENUM[style] ?? MORPH_STYLE_ENUM.linear;
+}
+
+function parseMorphAxis(value) {
+  if (typeof value === 'string' && MORPH_AXES[value.toLowerCase()]) return MORPH_AXES[value.toLowerCase()].clone();
+  const vector = Array.isArray(value)
+    ? new THREE.Vector3(value[0], value[1], value[2])
+    : new THREE.Vector3(value?.x, value?.y, value?.z);
+  const valid = [vector.x, vector.y, vector.z].every(Number.isFinite) && vector.lengthSq() > 1e-8;
+  return valid ? vector.normalize() : MORPH_AXES.x.clone();
+}
+
+function setMorphStyle(rule) {
+  const style = rule?.morphStyle ?? SECTION_TRANSITION.morphStyle ?? 'linear';
+  if (!(style in MORPH_STYLE_ENUM)) console.warn('[morph] unknown morphStyle', style, '- using linear');
+  morphStyleState.style = style in MORPH_STYLE_ENUM ? style : 'linear';
+  morphStyleState.axis = parseMorphAxis(rule?.morphAxis ?? SECTION_TRANSITION.morphAxis ?? 'x');
+  const spread = Number(rule?.morphSpread ?? SECTION_TRANSITION.morphSpread ?? 0.5);
+  morphStyleState.spread = THREE.MathUtils.clamp(Number.isFinite(spread) ? spread : 0.5, 0, 0.95);
+  applyMorphStyleUniforms();
+}
+
+function applyMorphStyleUniforms(uniforms = points?.material?.uniforms) {
+  if (!uniforms?.uMorphStyle) return;
+  uniforms.uMorphStyle.value = encodeMorphStyle(morphStyleState.style);
+  uniforms.uMorphAxis.value.copy(morphStyleState.axis);
+  uniforms.uMorphSpread.value = morphStyleState.spread;
+  // The radial burst starts at the glow wave's centre, in the model's own space.
+  if (points) {
+    points.updateMatrixWorld();
+    uniforms.uMorphCenter.value.copy(uniforms.uWaveCenter.value);
+    points.worldToLocal(uniforms.uMorphCenter.value);
+  }
+}
+
 function decodeGlowMode(value) {
   if (value >= 1.5) return 'rise';
   if (value >= 0.5) return 'random';
@@ -1724,14 +2720,6 @@ const CAMERA_PATH_POINTS = [
   new THREE.Vector3(-1.35, 0.16, 0.0),
   new THREE.Vector3(-0.8, 0.28, 0.85)
 ];
-const CAMERA_PATH_DISTANCE_OVERRIDES = {
-  'point/akl3.ply': 0.35,
-  'point/akl3-blueorange.ply': 0.35,
-  'point/akl3-bw.ply': 0.35,
-  'point/akl3-purple.ply': 0.35,
-  'point/akl3-orange.ply': 0.35,
-  'point/nz2.ply': 1.25,
-};
 const MODEL_SCALE_OVERRIDES = {
   'point/nz2.ply': 0.42,
 };
@@ -1839,6 +2827,16 @@ const MODEL_SETTINGS = {
 
 const cameraPath = new THREE.CatmullRomCurve3(CAMERA_PATH_POINTS.map((p) => p.clone()), false, 'catmullrom', 0.65);
 let cameraPathScale = camera.position.length() || 1;
+let cameraPathDistance = cameraPathScale;  // framing distance of the loaded model, before any per-path scale
+// cameraPathScale is the global path's: the framing distance times the opening section's distanceScale.
+const defaultCameraPath = { curve: cameraPath, distanceScale: null };
+const sectionCameraPaths = new WeakMap();
+// During a transition the camera rides a blend of the outgoing (`from`) and incoming (`to`) paths.
+const cameraPathState = {
+  from: null,
+  to: defaultCameraPath,
+  blend: 1,
+};
 let cameraPathT = 0;
 let cameraPathTarget = 0;
 const CAMERA_PATH_LERP_SPEED = 1.6;
@@ -1846,17 +2844,75 @@ const cameraPathPos = new THREE.Vector3();
 let cameraYawOffsetDeg = -20;
 let cameraPitchOffsetDeg = -10;
 
+// A section's `cameraPath` ({ points: [[x, y, z], …], tension, closed, distanceScale }) as a
+// curve, built once per definition. Points use the global path's units (1 = the model's framing
+// distance, which `distanceScale` multiplies); the dev path editor exports this shape. Sections
+// without one ride the global path; a `distanceScale` without points reframes the global path,
+// and the opening section's scale also frames sections without a `cameraPath`.
+function getSectionCameraPath(section) {
+  const def = section?.cameraPath;
+  if (!def || typeof def !== 'object') return defaultCameraPath;
+  let path = sectionCameraPaths.get(def);
+  if (!path) {
+    const distanceScale = Number.isFinite(def.distanceScale) && def.distanceScale > 0 ? def.distanceScale : null;
+    const hasPoints = Array.isArray(def.points) && def.points.length >= 2;
+    if (!hasPoints && distanceScale == null) return defaultCameraPath;
+    let curve = cameraPath;
+    if (hasPoints) {
+      const points = def.points.map((p) => (Array.isArray(p) ? new THREE.Vector3(p[0], p[1], p[2]) : new THREE.Vector3(p.x, p.y, p.z)));
+      const tension = Number.isFinite(def.tension) ? def.tension : 0.65;
+      curve = new THREE.CatmullRomCurve3(points, Boolean(def.closed), 'catmullrom', tension);
+    }
+    path = { curve, distanceScale };
+    sectionCameraPaths.set(def, path);
+  }
+  return path;
+}
+
+function getCameraPathScale(path = cameraPathState.to) {
+  return path?.distanceScale != null ? cameraPathDistance * path.distanceScale : cameraPathScale;
+}
+
+// Camera offset from the target at `t` on `path`, before the yaw/pitch offsets.
+function getCameraPathOffset(path, t, target) {
+  path.curve.getPoint(t, target);
+  target.y *= CAMERA_PATH_HEIGHT_FACTOR;
+  return target.multiplyScalar(getCameraPathScale(path));
+}
+
+function setCameraPath(path) {
+  cameraPathState.from = null;
+  cameraPathState.to = path;
+  cameraPathState.blend = 1;
+}
+
+// Start blending towards `path`; updateCameraPose drives the blend with the transition.
+function beginCameraPathBlend(path) {
+  if (path === cameraPathState.to) {
+    cameraPathState.from = null;
+    cameraPathState.blend = 1;
+    return;
+  }
+  cameraPathState.from = cameraPathState.to;
+  cameraPathState.to = path;
+  cameraPathState.blend = 0;
+}
+
+function revertCameraPathBlend() {
+  if (cameraPathState.from) setCameraPath(cameraPathState.from);
+}
+
+const cameraPathBlendPos = new THREE.Vector3();
+
 function positionCameraOnPath() {
   const t = THREE.MathUtils.clamp(cameraPathT, 0, 1);
-  cameraPath.getPoint(t, cameraPathPos);
   const target = controls.target;
-  const scale = cameraPathScale;
-
-  const base = new THREE.Vector3(
-    cameraPathPos.x,
-    cameraPathPos.y * CAMERA_PATH_HEIGHT_FACTOR,
-    cameraPathPos.z
-  );
+  const { from, to, blend } = cameraPathState;
+  const base = getCameraPathOffset(to, t, cameraPathPos);
+  if (from && blend < 1) {
+    getCameraPathOffset(from, t, cameraPathBlendPos);
+    base.lerpVectors(cameraPathBlendPos, base, blend);
+  }
 
   const yawRad = THREE.MathUtils.degToRad(cameraYawOffsetDeg);
   const cosYaw = Math.cos(yawRad);
@@ -1867,23 +2923,119 @@ function positionCameraOnPath() {
     base.x * sinYaw + base.z * cosYaw
   );
 
-  const pitchRad = THREE.MathUtils.degToRad(cameraPitchOffsetDeg);
-  if (Math.abs(cameraPitchOffsetDeg) > 1e-5) {
-    const up = new THREE.Vector3(0, 1, 0);
-    const axis = new THREE.Vector3().copy(up).cross(rotated);
-    if (axis.lengthSq() > 1e-6) {
-      rotated.applyAxisAngle(axis.normalize(), -pitchRad);
-    }
-  }
+  const pitchRad = THREE.MathUtils.degToRad(cameraPitchOffsetDeg);
+  if (Math.abs(cameraPitchOffsetDeg) > 1e-5) {
+    const up = new THREE.Vector3(0, 1, 0);
+    const axis = new THREE.Vector3().copy(up).cross(rotated);
+    if (axis.lengthSq() > 1e-6) {
+      rotated.applyAxisAngle(axis.normalize(), -pitchRad);
+    }
+  }
+
+  camera.position.copy(target).add(rotated);
+  camera.lookAt(target);
+  updateBackgroundTextScale();
+  updateBackgroundTextPose();
+}
+
+// Path space -> world, ignoring the yaw/pitch offsets: how the path itself sits around the model.
+function getPathOrigin() {
+  return exploreState.active ? exploreState.storyTarget : controls.target;
+}
+
+function pathPointToWorld(point, target = new THREE.Vector3()) {
+  target.set(point.x, point.y * CAMERA_PATH_HEIGHT_FACTOR, point.z);
+  return target.multiplyScalar(getCameraPathScale()).add(getPathOrigin());
+}
+
+function worldToPathPoint(world, target = new THREE.Vector3()) {
+  target.copy(world).sub(getPathOrigin()).divideScalar(getCameraPathScale());
+  target.y /= CAMERA_PATH_HEIGHT_FACTOR;
+  return target;
+}
+
+// Dev-only spline editor, loaded on first use so regular visitors never fetch it.
+const pathEditorState = {
+  editor: null,
+  loading: null,
+  pending: false,
+};
+
+function openPathEditor() {
+  if (!DEV_MODE) return Promise.resolve(null);
+  if (pathEditorState.editor) return Promise.resolve(pathEditorState.editor);
+  if (pathEditorState.loading) return pathEditorState.loading;
+  pathEditorState.pending = false;
+  // Orbit around to see the whole path; the story camera is parked meanwhile.
+  if (!exploreState.active && !enterExploreMode()) {
+    const settling = EXPLORE_CONFIG.enabled !== false && (!sectionState.isReady || sectionState.phase !== 'idle');
+    if (settling) {
+      // Booting or mid-transition: try again once the section is idle (see updatePathEditor).
+      pathEditorState.pending = true;
+    } else {
+      console.warn('[path] path editor needs explore mode, which is unavailable here');
+    }
+    return Promise.resolve(null);
+  }
+  pathEditorState.loading = import('./js/pathEditor.js')
+    .then(({ createPathEditor }) => {
+      pathEditorState.editor = createPathEditor({
+        scene,
+        camera,
+        renderer,
+        controls,
+        getCurve: () => cameraPathState.to.curve,
+        getDistanceScale: () => cameraPathState.to.distanceScale,
+        toWorld: pathPointToWorld,
+        toPath: worldToPathPoint,
+        getPathScale: () => getCameraPathScale(),
+        getSectionId: () => getSectionByIndex(sectionState.index)?.id ?? null,
+        onPreview: (pathT) => {
+          if (!exploreState.active || exploreState.returning) return;
+          controls.target.copy(exploreState.storyTarget);
+          cameraPathT = pathT;
+          cameraPathTarget = pathT;
+          positionCameraOnPath();
+          controls.update();
+        },
+        onChange: () => {
+          if (!exploreState.active) positionCameraOnPath();
+        },
+        onClose: () => {
+          pathEditorState.editor = null;
+          exitExploreMode();
+        },
+      });
+      return pathEditorState.editor;
+    })
+    .catch((err) => {
+      console.error('[path] failed to load the path editor', err);
+      exitExploreMode();
+      return null;
+    })
+    .finally(() => {
+      pathEditorState.loading = null;
+    });
+  return pathEditorState.loading;
+}
+
+function updatePathEditor() {
+  if (pathEditorState.pending && sectionState.isReady && sectionState.phase === 'idle') openPathEditor();
+  pathEditorState.editor?.update();
+}
 
-  camera.position.set(
-    target.x + rotated.x * scale,
-    target.y + rotated.y * scale,
-    target.z + rotated.z * scale
-  );
-  camera.lookAt(target);
-  updateBackgroundTextScale();
-  updateBackgroundTextPose();
+function setupPathEditorToggle() {
+  const toggle = document.getElementById('ui-path-editor');
+  if (!DEV_MODE) return;
+  if (toggle) {
+    toggle.closest('.row').hidden = false;
+    toggle.addEventListener('click', () => {
+      if (pathEditorState.editor) pathEditorState.editor.destroy();
+      else if (pathEditorState.pending) pathEditorState.pending = false;
+      else openPathEditor();
+    });
+  }
+  if (getQueryFlag('pathEditor')) openPathEditor();
 }
 
 function nudgeCameraAlongPath(deltaT) {
@@ -1904,19 +3056,48 @@ function getCurrentCameraPose() {
   };
 }
 
+function applyCameraPose(pose) {
+  cameraPathTarget = THREE.MathUtils.clamp(pose.pathT, 0, 1);
+  cameraPathT = cameraPathTarget;
+  cameraYawOffsetDeg = pose.yaw;
+  cameraPitchOffsetDeg = pose.pitch;
+  positionCameraOnPath();
+  controls.update();
+}
+
 function updateCameraPose(progress, { immediate = false } = {}) {
   const start = sectionState.cameraStartPose || getCurrentCameraPose();
   const end = sectionState.cameraEndPose || start;
   const t = THREE.MathUtils.clamp(Number(progress) || 0, 0, 1);
-  const newPathT = THREE.MathUtils.lerp(start.pathT, end.pathT, t);
-  const newYaw = THREE.MathUtils.lerp(start.yaw, end.yaw, t);
-  const newPitch = THREE.MathUtils.lerp(start.pitch, end.pitch, t);
-  cameraPathTarget = THREE.MathUtils.clamp(newPathT, 0, 1);
-  cameraPathT = cameraPathTarget;
-  cameraYawOffsetDeg = newYaw;
-  cameraPitchOffsetDeg = newPitch;
-  positionCameraOnPath();
-  controls.update();
+  if (cameraPathState.from) cameraPathState.blend = t;
+  if (sectionState.cameraTrack) {
+    applyCameraPose(sampleCameraTrack(sectionState.cameraTrack, t));
+    return;
+  }
+  applyCameraPose({
+    pathT: THREE.MathUtils.lerp(start.pathT, end.pathT, t),
+    yaw: THREE.MathUtils.lerp(start.yaw, end.yaw, t),
+    pitch: THREE.MathUtils.lerp(start.pitch, end.pitch, t),
+  });
+}
+
+// Dwell choreography: `time` keyframes play once from the pose the section settled on.
+// The clock only runs while idle, so a reverted transition picks up where it left off.
+const cameraDwell = {
+  track: null,
+  elapsed: 0,
+};
+
+function startCameraDwell(view) {
+  cameraDwell.elapsed = 0;
+  cameraDwell.track = buildCameraTrack(view?.cameraKeyframes, 'time', {
+    from: sectionState.cameraEndPose ?? getCurrentCameraPose(),
+  });
+}
+
+function updateCameraDwell(dt) {
+  if (!cameraDwell.track || sectionState.phase !== 'idle' || exploreState.active) return;
+  cameraDwell.elapsed = Math.min(cameraDwell.elapsed + dt, getCameraTrackEnd(cameraDwell.track));
 }
 
 function setScatterTarget(value) {
@@ -1975,7 +3156,7 @@ function setPointSizePxValue(value, { rebuild = true, updateUI = true } = {}) {
   }
 
   if (rebuild && originalGeom) {
-    buildPoints();
+    requestPointsRebuild();
   } else {
     const uniforms = points?.material?.uniforms;
     if (uniforms?.uBaseSize) uniforms.uBaseSize.value = clamped;
@@ -2160,39 +3341,240 @@ function applyModelSettings(path) {
 positionCameraOnPath();
 
 addEventListener('wheel', (event) => {
+  if (exploreState.active) return; // OrbitControls zooms instead
   if (event.defaultPrevented) return;
   if (event.ctrlKey) return;
-  const delta = event.deltaY;
-  if (delta === 0) return;
+  if (event.deltaY === 0) return;
+  if (SCROLL_DRIVEN) {
+    // Let the page scroll natively; the wheel just takes over from any programmatic scroll.
+    scrollDrive.requestedStop = null;
+    noteUserActivity({ takesControl: true });
+    return;
+  }
   event.preventDefault();
-  applyScrollDelta(delta, { isTouch: false });
+  const input = wheelInput.handle(event);
+  // A momentum tail counts as activity but doesn't take control: leftover trackpad coast
+  // mustn't cancel autoplay or a key navigation that started after the swipe.
+  noteUserActivity({ takesControl: !input?.momentum });
+  if (!input) return;
+  if (input.momentum && sectionNavigation.autoActive) return;
+  // Wheel input takes over from a release snap or key navigation still running.
+  sectionNavigation.autoActive = false;
+  applyScrollDelta(input.delta, { isTouch: false, thresholdScale: input.thresholdScale, fromWheel: true });
 }, { passive: false });
 
-function handleTouchStart(event) {
-  if (event.touches.length !== 1) return;
-  touchScrollActive = true;
-  touchLastY = event.touches[0].clientY;
+['pointerdown', 'pointermove', 'keydown'].forEach((type) => {
+  addEventListener(type, () => noteUserActivity(), { passive: true });
+});
+
+const touchGestureState = {
+  startIndex: 0,          // section under the finger when the drag began
+  startStep: 0,
+  startSize: 0,           // pointSizePx / keepRatio when the pinch began
+  startKeepRatio: 0,
+};
+
+function handleTouchRelease({ velocity, fling }) {
   sectionState.wheelAccumulator = 0;
+  const direction = velocity >= 0 ? 1 : -1;
+  if (!fling) {
+    settleTransition();
+    return;
+  }
+  if (sectionState.phase === 'idle') {
+    // A quick flick changes section even when it was too short to cross the drag threshold.
+    if (sectionState.index !== touchGestureState.startIndex || sectionState.stepIndex !== touchGestureState.startStep) return;
+    if (direction > 0) goToNextStep(); else goToPreviousStep();
+    return;
+  }
+  flingTransition(direction);
 }
 
-function handleTouchMove(event) {
-  if (!touchScrollActive || event.touches.length !== 1) return;
-  event.preventDefault();
-  const currentY = event.touches[0].clientY;
-  const deltaY = touchLastY - currentY;
-  touchLastY = currentY;
-  applyScrollDelta(deltaY, { isTouch: true });
+// Pinch out: bigger, sparser points; pinch in: smaller, denser ones.
+function handlePinchEnd(scale) {
+  if (TOUCH_CONFIG.pinch === false || exploreState.active || Math.abs(scale - 1) < 0.05) return;
+  // Rebuilding the cloud mid-transition would throw away the running morph.
+  if (sectionState.phase !== 'idle' || !originalGeom) return;
+  keepRatio = THREE.MathUtils.clamp(touchGestureState.startKeepRatio / scale, 0.02, 1);
+  requestPointsRebuild();
+  window.dispatchEvent(new Event('ui-refresh'));
+}
+
+function setupTouchGestures() {
+  createTouchGestures(renderer.domElement, {
+    horizontal: TOUCH_CONFIG.horizontal ?? false,
+    flingVelocity: TOUCH_CONFIG.flingVelocity ?? 900,
+    onStart: () => {
+      if (exploreState.active) return;
+      noteUserActivity({ takesControl: true });
+      sectionState.wheelAccumulator = 0;
+      sectionNavigation.autoActive = false;
+      touchGestureState.startIndex = sectionState.index;
+      touchGestureState.startStep = sectionState.stepIndex;
+    },
+    onDrag: (delta) => {
+      if (exploreState.active) return;
+      // Moving again takes over from a settle that started while the finger rested.
+      sectionNavigation.autoActive = false;
+      applyScrollDelta(delta, { isTouch: true });
+    },
+    onRelease: (release) => {
+      if (!exploreState.active) handleTouchRelease(release);
+    },
+    onPinchStart: () => {
+      noteUserActivity();
+      touchGestureState.startSize = pointSizePx;
+      touchGestureState.startKeepRatio = keepRatio;
+    },
+    onPinch: (scale) => {
+      if (TOUCH_CONFIG.pinch === false || exploreState.active) return;
+      setPointSizePxValue(touchGestureState.startSize * scale, { rebuild: false });
+    },
+    onPinchEnd: handlePinchEnd,
+  });
+}
+
+// Explore: hand the camera to OrbitControls until the reader returns to the story.
+const EXPLORE_CONFIG = SECTION_TRANSITION.explore ?? {};
+const exploreState = {
+  active: false,          // stays true while the camera flies back, so the story can't grab it
+  returning: false,
+  tween: null,
+  storyTarget: new THREE.Vector3(),
+  bounds: new THREE.Sphere(),
+  touchAction: '',        // the canvas's inline touch-action before exploring, restored on exit
+};
+
+function getExploreBounds() {
+  const geometry = points?.geometry;
+  if (!geometry) return null;
+  if (!geometry.boundingSphere) geometry.computeBoundingSphere();
+  points.updateWorldMatrix(true, false);
+  return exploreState.bounds.copy(geometry.boundingSphere).applyMatrix4(points.matrixWorld);
+}
+
+function setExploreInput(enabled) {
+  controls.enableRotate = enabled;
+  controls.enableZoom = enabled;
+  controls.enablePan = enabled;
+  controls.enableDamping = enabled;
 }
 
-function handleTouchEnd() {
-  touchScrollActive = false;
+function enterExploreMode() {
+  if (exploreState.active || EXPLORE_CONFIG.enabled === false) return false;
+  if (!sectionState.isReady || sectionState.phase !== 'idle') return false;
+  const bounds = getExploreBounds();
+  if (!bounds) return false;
+  exploreState.active = true;
+  exploreState.storyTarget.copy(controls.target);
+  const radius = Math.max(bounds.radius, 1e-3);
+  const distance = camera.position.distanceTo(controls.target);
+  controls.minDistance = Math.min(radius * (EXPLORE_CONFIG.minDistance ?? 0.05), distance);
+  controls.maxDistance = Math.max(radius * (EXPLORE_CONFIG.maxDistance ?? 3), distance);
+  controls.dampingFactor = EXPLORE_CONFIG.dampingFactor ?? 0.08;
+  setExploreInput(true);
   sectionState.wheelAccumulator = 0;
+  sectionNavigation.autoActive = false;
+  document.documentElement.classList.add('exploring');
+  // Native scroll mode: the canvas needs its touches back for orbiting.
+  exploreState.touchAction = renderer.domElement.style.touchAction;
+  renderer.domElement.style.touchAction = 'none';
+  updateExploreToggle();
+  storyEvents.emit('explorechange', { active: true, section: describeSection(sectionState.index) });
+  return true;
+}
+
+// Fly back to the story pose (the section's cameraEndPose, or where its dwell keyframes are).
+function exitExploreMode({ animate = true } = {}) {
+  if (!exploreState.active || exploreState.returning) return false;
+  exploreState.returning = true;
+  setExploreInput(false);
+  const storyPose = cameraDwell.track
+    ? sampleCameraTrack(cameraDwell.track, cameraDwell.elapsed)
+    : sectionState.cameraEndPose ?? getCurrentCameraPose();
+  const fromPosition = camera.position.clone();
+  const fromTarget = controls.target.clone();
+  controls.target.copy(exploreState.storyTarget);
+  applyCameraPose(storyPose);
+  const toPosition = camera.position.clone();
+  if (!animate) {
+    finishExploreMode();
+    return true;
+  }
+  camera.position.copy(fromPosition);
+  controls.target.copy(fromTarget);
+  const state = { t: 0 };
+  exploreState.tween = gsap.to(state, {
+    t: 1,
+    duration: EXPLORE_CONFIG.returnDuration ?? 1.2,
+    ease: 'power2.inOut',
+    onUpdate: () => {
+      camera.position.lerpVectors(fromPosition, toPosition, state.t);
+      controls.target.lerpVectors(fromTarget, exploreState.storyTarget, state.t);
+      camera.lookAt(controls.target);
+    },
+    onComplete: finishExploreMode,
+  });
+  return true;
+}
+
+function finishExploreMode() {
+  exploreState.tween = null;
+  exploreState.returning = false;
+  exploreState.active = false;
+  controls.target.copy(exploreState.storyTarget);
+  controls.minDistance = 0;
+  controls.maxDistance = Infinity;
+  positionCameraOnPath();
+  controls.update();
+  document.documentElement.classList.remove('exploring');
+  renderer.domElement.style.touchAction = exploreState.touchAction;
+  updateExploreToggle();
+  storyEvents.emit('explorechange', { active: false, section: describeSection(sectionState.index) });
+  flushPendingNavigation();
+}
+
+function setExploreMode(active) {
+  return active ? enterExploreMode() : exitExploreMode();
 }
 
-renderer.domElement.addEventListener('touchstart', handleTouchStart, { passive: true });
-renderer.domElement.addEventListener('touchmove', handleTouchMove, { passive: false });
-renderer.domElement.addEventListener('touchend', handleTouchEnd, { passive: true });
-renderer.domElement.addEventListener('touchcancel', handleTouchEnd, { passive: true });
+// Panning may not wander off the model: keep the orbit target inside its bounding sphere.
+function updateExploreMode() {
+  if (!exploreState.active || exploreState.returning) return;
+  const { center, radius } = exploreState.bounds;
+  const offset = controls.target.clone().sub(center);
+  if (offset.length() > radius) {
+    const correction = offset.setLength(offset.length() - radius);
+    controls.target.sub(correction);
+    camera.position.sub(correction);
+  }
+}
+
+function updateExploreToggle() {
+  if (!exploreToggleEl) return;
+  exploreToggleEl.setAttribute('aria-pressed', String(exploreState.active && !exploreState.returning));
+  exploreToggleEl.textContent = exploreState.active ? 'Back to story' : 'Explore';
+}
+
+function setupExploreToggle() {
+  if (!exploreToggleEl) return;
+  exploreToggleEl.hidden = EXPLORE_CONFIG.enabled === false;
+  if (exploreToggleEl.hidden) return;
+  updateExploreToggle();
+  exploreToggleEl.addEventListener('click', () => setExploreMode(!exploreState.active));
+}
+
+addEventListener('popstate', handleSectionPopState);
+addEventListener('keydown', handleNavigationKeydown);
+
+if (SCROLL_DRIVEN) {
+  addEventListener('touchstart', () => {
+    scrollDrive.requestedStop = null;
+    noteUserActivity({ takesControl: true });
+  }, { passive: true });
+} else {
+  setupTouchGestures();
+}
 
 /* ---------------- Helpers (optional) ---------------- */
 scene.add(new THREE.AmbientLight(0xffffff, 0.9));
@@ -2386,7 +3768,7 @@ function setupUI() {
   el.density?.addEventListener('input', () => {
     keepRatio = Math.max(0.02, Math.min(1, Number(el.density.value)));
     setVal('ui-density-val', keepRatio.toFixed(2));
-    buildPoints();
+    requestPointsRebuild();
   });
   el.psize?.addEventListener('input', () => {
     setPointSizePxValue(el.psize.value);
@@ -2560,123 +3942,46 @@ function setupUI() {
 // (moved) UI initialization happens later after key vars are defined
 
 /* ---------------- Utilities ---------------- */
-function createPointGeometry(sourceGeom, targetGeom, keepRatio = 1) {
-  if (!sourceGeom) return null;
-
-  const srcPos = sourceGeom.getAttribute('position');
-  if (!srcPos) return null;
-
-  const sourceCount = srcPos.count;
-  if (!Number.isFinite(sourceCount) || sourceCount <= 0) return null;
-
-  const keepCount = keepRatio >= 0.999
-    ? sourceCount
-    : Math.max(1, Math.floor(sourceCount * keepRatio));
-
-  const positions = new Float32Array(keepCount * 3);
-  const sampleFractions = new Float32Array(keepCount);
-
-  const srcStride = srcPos.itemSize || 3;
-  const srcArray = srcPos.array;
-
-  const colAttr = sourceGeom.getAttribute('color');
-  const hasColor = !!colAttr;
-  const colorStride = hasColor ? (colAttr.itemSize || 3) : 0;
-  const srcColorArray = hasColor ? colAttr.array : null;
-  const colors = hasColor ? new srcColorArray.constructor(keepCount * colorStride) : null;
-
-  const step = sourceCount / keepCount;
-  const srcDenom = Math.max(1, sourceCount - 1);
-
-  for (let i = 0; i < keepCount; i++) {
-    let index = Math.floor(i * step);
-    if (i === keepCount - 1 || index >= sourceCount) {
-      index = sourceCount - 1;
-    }
-
-    const dst = i * 3;
-    const srcOffset = index * srcStride;
-    positions[dst + 0] = srcArray[srcOffset + 0] ?? 0;
-    positions[dst + 1] = srcStride > 1 ? (srcArray[srcOffset + 1] ?? 0) : 0;
-    positions[dst + 2] = srcStride > 2 ? (srcArray[srcOffset + 2] ?? 0) : 0;
-
-    if (hasColor && colors && srcColorArray) {
-      const srcColorOffset = index * colorStride;
-      const dstColorOffset = i * colorStride;
-      for (let k = 0; k < colorStride; k++) {
-        colors[dstColorOffset + k] = srcColorArray[srcColorOffset + k] ?? 0;
-      }
-    }
-
-    sampleFractions[i] = srcDenom > 0 ? index / srcDenom : 0;
-  }
-
-  let morphArray = null;
-  let morphColorArray = null;
-  if (targetGeom) {
-    const tgtPos = targetGeom.getAttribute('position');
-    if (tgtPos && tgtPos.count > 0) {
-      const tgtArray = tgtPos.array;
-      const tgtStride = tgtPos.itemSize || 3;
-      const tgtCount = tgtPos.count;
-      morphArray = new Float32Array(keepCount * 3);
-      
-      // Extract target colors if they exist
-      const tgtColAttr = targetGeom.getAttribute('color');
-      const tgtHasColor = !!tgtColAttr;
-      const tgtColorStride = tgtHasColor ? (tgtColAttr.itemSize || 3) : 0;
-      const tgtColorArray = tgtHasColor ? tgtColAttr.array : null;
-      if (tgtHasColor && tgtColorArray) {
-        morphColorArray = new tgtColorArray.constructor(keepCount * tgtColorStride);
-      }
-      
-      for (let i = 0; i < keepCount; i++) {
-        const fraction = sampleFractions[i];
-        let targetIndex = Math.round(fraction * (tgtCount - 1));
-        if (!Number.isFinite(targetIndex)) targetIndex = 0;
-        if (targetIndex < 0) targetIndex = 0;
-        if (targetIndex >= tgtCount) targetIndex = tgtCount - 1;
-        const dst = i * 3;
-        const tgtOffset = targetIndex * tgtStride;
-        morphArray[dst + 0] = tgtArray[tgtOffset + 0] ?? 0;
-        morphArray[dst + 1] = tgtStride > 1 ? (tgtArray[tgtOffset + 1] ?? 0) : 0;
-        morphArray[dst + 2] = tgtStride > 2 ? (tgtArray[tgtOffset + 2] ?? 0) : 0;
-        
-        // Sample target colors
-        if (tgtHasColor && morphColorArray && tgtColorArray) {
-          const tgtColorOffset = targetIndex * tgtColorStride;
-          const dstColorOffset = i * tgtColorStride;
-          for (let k = 0; k < tgtColorStride; k++) {
-            morphColorArray[dstColorOffset + k] = tgtColorArray[tgtColorOffset + k] ?? 0;
-          }
-        }
-      }
-    }
-  }
-  if (!morphArray) {
-    morphArray = positions.slice();
-  }
+function getGeometryArrays(geom) {
+  return {
+    position: geom?.getAttribute('position')?.array ?? null,
+    color: geom?.getAttribute('color')?.array ?? null,
+  };
+}
 
+// Attributes from subsamplePoints(), uploaded as-is.
+function buildPointGeometry({ position, color, morphTarget, morphColor }) {
   const geometry = new THREE.BufferGeometry();
-  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-  geometry.setAttribute('morphTarget', new THREE.BufferAttribute(morphArray, 3));
-  if (hasColor && colors) {
-    const normalized = typeof colAttr.normalized === 'boolean' ? colAttr.normalized : false;
-    geometry.setAttribute('color', new THREE.BufferAttribute(colors, colorStride, normalized));
-    
-    // Always add morphColor attribute - use morphColorArray if available, otherwise duplicate colors
-    let morphColorsToUse;
-    if (morphColorArray && morphColorArray.length === colors.length) {
-      morphColorsToUse = morphColorArray;
-    } else {
-      // Fallback to duplicate of source colors
-      morphColorsToUse = colors.slice();
-    }
-    geometry.setAttribute('morphColor', new THREE.BufferAttribute(morphColorsToUse, colorStride, normalized));
+  geometry.setAttribute('position', new THREE.BufferAttribute(position, 3));
+  geometry.setAttribute('morphTarget', new THREE.BufferAttribute(morphTarget, 3));
+  if (color) {
+    geometry.setAttribute('color', new THREE.BufferAttribute(color, 3));
+    // Always add morphColor attribute - without a target it duplicates the source colours
+    geometry.setAttribute('morphColor', new THREE.BufferAttribute(morphColor ?? color.slice(), 3));
   }
   return geometry;
 }
 
+function createPointGeometry(sourceGeom, targetGeom, keepRatio = 1) {
+  const source = getGeometryArrays(sourceGeom);
+  if (!source.position?.length) return Promise.resolve(null);
+  const target = targetGeom ? getGeometryArrays(targetGeom) : null;
+  const subsampleHere = () => buildPointGeometry(subsamplePoints(source, keepRatio, target));
+  if (!pointCloudPool.available) return Promise.resolve(subsampleHere());
+  // The worker keeps the sources for re-sampling; results come back transferred.
+  const cloudRef = (ref, cloud) => (cloud ? { position: ref(cloud.position), color: ref(cloud.color) } : null);
+  return runWithCachedArrays('subsample', (ref) => ({
+    source: cloudRef(ref, source),
+    keepRatio,
+    target: cloudRef(ref, target),
+  }))
+    .then(buildPointGeometry)
+    .catch((err) => {
+      console.warn('[PLY] worker failed, subsampling on the main thread', err);
+      return subsampleHere();
+    });
+}
+
 // Wave glow shader: a moving front that brightens/enlarges points as it passes.
 function makeGlowMaterial(hasVertexColor, baseSizePx = 3.0) {
   const uniforms = {
@@ -2691,6 +3996,10 @@ function makeGlowMaterial(hasVertexColor, baseSizePx = 3.0) {
     uGlowMode:    { value: encodeGlowMode(glowMode) },
     uRandomGlowSpeed: { value: randomGlowSpeed },
     uMorphFactor: { value: morphUniformValue },
+    uMorphStyle:  { value: encodeMorphStyle(morphStyleState.style) },
+    uMorphAxis:   { value: morphStyleState.axis.clone() },   // sweep direction (model space)
+    uMorphSpread: { value: morphStyleState.spread },         // share of the morph spent staggering starts
+    uMorphCenter: { value: new THREE.Vector3(0, 0, 0) },     // radial burst origin (model space)
     uColorMix: { value: 0.0 },  // color blend: 0 = current, 1 = new
 
     // Size attenuation (0 = off, 1 = on). Ref distance where size is unchanged.
@@ -2750,6 +4059,10 @@ function makeGlowMaterial(hasVertexColor, baseSizePx = 3.0) {
     uniform float uPxPerUnit;
     uniform float uScatterAmp;
     uniform float uMorphFactor;
+    uniform float uMorphStyle;
+    uniform vec3  uMorphAxis;
+    uniform float uMorphSpread;
+    uniform vec3  uMorphCenter;
 
     uniform vec3  uHoverPos;
     uniform float uHoverRadius;
@@ -2780,11 +4093,75 @@ function makeGlowMaterial(hasVertexColor, baseSizePx = 3.0) {
     varying float vMorphFactor;
     varying float vColorMix;
 
+    float morphHash(vec3 v) {
+      return fract(sin(dot(v, vec3(12.9898, 78.233, 37.719))) * 43758.5453);
+    }
+
+    // Progress of a point whose move starts delay (0-1) of the way into uMorphSpread.
+    float morphLocal(float morph, float delay) {
+      float spread = clamp(uMorphSpread, 0.0, 0.95);
+      return smoothstep(0.0, 1.0, clamp((morph - delay * spread) / (1.0 - spread), 0.0, 1.0));
+    }
+
+    // Every style starts exactly at basePos (morph 0) and ends exactly at targetPos (morph 1),
+    // so the phase machine can swap styles between transitions without a pop.
+    vec3 morphPosition(vec3 basePos, vec3 targetPos, float morph) {
+      float style = uMorphStyle;
+      if (style < 0.5) {
+        return mix(basePos, targetPos, morph);
+      }
+      if (style < 1.5) {
+        // Stagger: the bottom of the model leaves first, the top follows.
+        float h = clamp(basePos.y * 0.5 + 0.5, 0.0, 1.0);
+        return mix(basePos, targetPos, morphLocal(morph, h));
+      }
+      if (style < 2.5) {
+        // Radial: burst outwards from uMorphCenter and fall back into place, nearest points first.
+        vec3 fromCenter = basePos - uMorphCenter;
+        float d = length(fromCenter);
+        vec3 dir = d > 1e-5 ? fromCenter / d : vec3(0.0, 1.0, 0.0);
+        float local = morphLocal(morph, clamp(d * 0.5, 0.0, 1.0));
+        float burst = sin(3.14159265 * local) * (0.6 + 0.4 * morphHash(basePos));
+        return mix(basePos, targetPos, local) + dir * burst;
+      }
+      if (style < 3.5) {
+        // Swirl: twist about the vertical axis while drifting through a divergence-free sine field.
+        vec3 p = mix(basePos, targetPos, morph);
+        float arc = sin(3.14159265 * morph);
+        float angle = arc * (1.5 + morphHash(basePos));
+        float c = cos(angle);
+        float s = sin(angle);
+        p.xz = mat2(c, -s, s, c) * p.xz;
+        vec3 q = p * 2.3;
+        vec3 curl = vec3(sin(q.y) * cos(q.z), sin(q.z) * cos(q.x), sin(q.x) * cos(q.y));
+        return p + curl * arc * 0.35;
+      }
+      if (style < 4.5) {
+        // Gravity: drop to the floor, slide across it, then rebuild from the bottom up.
+        float floorY = -1.0;
+        float fall = clamp((morph - morphHash(basePos) * 0.15) / 0.35, 0.0, 1.0);
+        float slide = smoothstep(0.35, 0.65, morph);
+        float h = clamp(targetPos.y * 0.5 + 0.5, 0.0, 1.0);
+        float rise = smoothstep(0.0, 1.0, clamp((morph - 0.6 - h * 0.3) / 0.1, 0.0, 1.0));
+        vec2 xz = mix(basePos.xz, targetPos.xz, slide);
+        float y = mix(mix(basePos.y, floorY, fall * fall), targetPos.y, rise);
+        return vec3(xz.x, y, xz.y);
+      }
+      // Sweep ("pixel sort"): a front runs along uMorphAxis; each point it passes slides along
+      // the axis first, then across it.
+      vec3 axis = normalize(uMorphAxis + vec3(1e-5));
+      float d = clamp(dot(basePos, axis) * 0.5 + 0.5, 0.0, 1.0);
+      float local = morphLocal(morph, d);
+      vec3 delta = targetPos - basePos;
+      vec3 along = axis * dot(delta, axis);
+      return basePos + along * smoothstep(0.0, 0.5, local) + (delta - along) * smoothstep(0.5, 1.0, local);
+    }
+
     void main() {
       float morph = clamp(uMorphFactor, 0.0, 1.0);
       vec3 basePos = position;
       vec3 targetPos = morphTarget;
-      vec3 p = mix(basePos, targetPos, morph);
+      vec3 p = morphPosition(basePos, targetPos, morph);
 
       // Height factor (0 at base, 1 at top). Model is roughly in [-1,1] Y.
       float h = clamp(p.y * 0.5 + 0.5, 0.0, 1.0);
@@ -2987,12 +4364,13 @@ void main() {
   });
 }
 
-/* ---------------- Load PLY & Build Points ---------------- */
+/* ---------------- Load Point Clouds & Build Points ---------------- */
 const loader = new PLYLoader();
+const pointCloudFileLoader = new THREE.FileLoader().setResponseType('arraybuffer');
 let pendingModelPromise = null;
 let modelLoadToken = 0;
 
-let originalGeom = null; // unmodified, for re-subsampling
+let originalGeom = null; // unmodified (shared with the section asset), for re-subsampling
 
 let keepRatio = 0.18;    // ↓ fewer points for speed (try 0.10–0.25)
 let pointSizePx = 3.0;   // ↑ base point size (pixels)
@@ -3003,8 +4381,6 @@ let glowMode = 'wave';   // 'wave', 'random', or 'rise'
 let randomGlowSpeed = 1.2; // Hz for random flicker
 let squareMix = 0.0;     // 0 = circles, 1 = all squares
 let currentWindAmp = 0.02;
-let touchScrollActive = false;
-let touchLastY = 0;
 let highlightColorHex = '#b9e456';
 let useOriginalPointColors = false;
 let modelRotationOffsetDeg = 0;
@@ -3016,8 +4392,24 @@ const floatingTextEl = typeof document !== 'undefined' ? document.getElementById
 const sectionEyebrowEl = floatingTextEl?.querySelector('.section-eyebrow') ?? null;
 const sectionTitleEl = floatingTextEl?.querySelector('.section-title') ?? null;
 const sectionBodyEl = floatingTextEl?.querySelector('.section-body') ?? null;
+const sectionSourcesEl = floatingTextEl?.querySelector('.section-sources') ?? null;
 const sectionIndexEl = typeof document !== 'undefined' ? document.getElementById('section-index') : null;
 const sectionCountEl = typeof document !== 'undefined' ? document.getElementById('section-count') : null;
+const sectionNavEl = typeof document !== 'undefined' ? document.getElementById('section-nav') : null;
+const sectionPaginationEl = sectionNavEl?.querySelector('.section-pagination') ?? null;
+const sectionProgressBarEl = sectionNavEl?.querySelector('.section-progress-bar') ?? null;
+const chapterIndexEl = typeof document !== 'undefined' ? document.getElementById('chapter-index') : null;
+const storyEndEl = typeof document !== 'undefined' ? document.getElementById('story-end') : null;
+const localeToggleEl = typeof document !== 'undefined' ? document.getElementById('locale-toggle') : null;
+const exploreToggleEl = typeof document !== 'undefined' ? document.getElementById('explore-toggle') : null;
+let chapterIndexItems = [];
+let chapterIndexStateKey = '';
+let sectionProgressShown = -1;
+// Counters in the body follow the text fade in, and never count back down while it fades out.
+const statCounterState = {
+  counters: [],
+  shown: 1,
+};
 let textOpacityTarget = 1;
 let textOpacityValue = 1;
 const TEXT_FADE_SPEED = 4.0;
@@ -3034,7 +4426,9 @@ function setTextOpacityTarget(value, { immediate = false } = {}) {
     textOpacityValue = clamped;
     if (floatingTextEl) {
       floatingTextEl.style.opacity = clamped.toFixed(3);
+      floatingTextEl.style.setProperty('--text-reveal', clamped.toFixed(3));
     }
+    updateStatCounters(clamped);
   }
 }
 
@@ -3043,33 +4437,272 @@ function formatSectionNumber(value) {
   return n < 10 ? `0${n}` : String(n);
 }
 
-function setSectionTextContent(section, index) {
+function renderSectionSources(section) {
+  if (!sectionSourcesEl) return;
+  const list = sectionSourcesEl.querySelector('.section-sources-list');
+  const sources = Array.isArray(section?.sources) ? section.sources : [];
+  sectionSourcesEl.open = false;
+  sectionSourcesEl.hidden = sources.length === 0;
+  if (!list) return;
+  list.textContent = '';
+  const prefix = `${getSectionSlug(section)}-`;
+  sources.forEach((source) => {
+    const item = document.createElement('li');
+    if (source?.id) item.id = `${prefix}source-${source.id}`;
+    item.tabIndex = -1;
+    const label = getLocalizedText(source?.label) ?? source?.url ?? '';
+    if (source?.url) {
+      const link = document.createElement('a');
+      link.href = source.url;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      link.textContent = label;
+      item.appendChild(link);
+    } else {
+      item.textContent = label;
+    }
+    list.appendChild(item);
+  });
+}
+
+function handleFootnoteClick(event) {
+  const link = event.target instanceof Element ? event.target.closest('a[data-source-id]') : null;
+  if (!link || !sectionSourcesEl) return;
+  // Keep the hash for deep links; open the drawer at the cited source instead of jumping.
+  event.preventDefault();
+  sectionSourcesEl.open = true;
+  const target = sectionSourcesEl.querySelector(`[id="${CSS.escape(link.getAttribute('href').slice(1))}"]`);
+  target?.focus();
+}
+
+// The layout swaps while the copy is faded out (fadeIn starts at opacity 0).
+function applySectionLayout(section) {
+  if (!floatingTextEl) return;
+  const layout = SECTION_LAYOUTS.includes(section?.layout) ? section.layout : SECTION_LAYOUTS[0];
+  SECTION_LAYOUTS.forEach((name) => floatingTextEl.classList.toggle(`layout-${name}`, name === layout));
+  floatingTextEl.dataset.section = getSectionSlug(section);
+}
+
+function updateStatCounters(reveal) {
+  if (!statCounterState.counters.length || reveal <= statCounterState.shown) return;
+  statCounterState.shown = reveal;
+  setCounterProgress(statCounterState.counters, reveal, { locale: localeState.current });
+}
+
+function setSectionTextContent(section, index, { animateStats = true } = {}) {
   if (!section) return;
+  applySectionLayout(section);
   if (sectionEyebrowEl) {
-    sectionEyebrowEl.textContent = section.eyebrow ?? '';
+    sectionEyebrowEl.textContent = getSectionText(section, 'eyebrow') ?? '';
   }
   if (sectionTitleEl) {
-    if (Array.isArray(section.title)) {
-      const safeLines = section.title.map((line) => line?.trim?.() ?? '').filter(Boolean);
+    const title = getSectionText(section, 'title');
+    if (Array.isArray(title)) {
+      const safeLines = title.map((line) => line?.trim?.() ?? '').filter(Boolean);
       sectionTitleEl.innerHTML = safeLines.join('<br>');
     } else {
-      sectionTitleEl.innerHTML = section.title ?? '';
+      sectionTitleEl.innerHTML = title ?? '';
     }
   }
   if (sectionBodyEl) {
-    sectionBodyEl.textContent = section.body ?? '';
+    const { counters } = renderRichText(sectionBodyEl, getSectionText(section, 'body') ?? '', {
+      sources: section.sources ?? [],
+      stats: section.stats ?? {},
+      idPrefix: `${getSectionSlug(section)}-`,
+      locale: localeState.current,
+    });
+    statCounterState.counters = counters;
+    statCounterState.shown = animateStats ? textOpacityValue : 1;
+    setCounterProgress(counters, statCounterState.shown, { locale: localeState.current });
   }
+  renderSectionSources(section);
   if (sectionIndexEl) {
     sectionIndexEl.textContent = formatSectionNumber((index ?? 0) + 1);
   }
   if (sectionCountEl) {
     sectionCountEl.textContent = formatSectionNumber(getSectionCount());
   }
+  updateChapterIndexState();
+}
+
+function getSectionDisplayTitle(section) {
+  const title = getSectionText(section, 'title');
+  if (Array.isArray(title)) {
+    return title.map((line) => line?.trim?.() ?? '').filter(Boolean).join(' ');
+  }
+  return String(title ?? '').replace(/<br\s*\/?>/gi, ' ').trim();
+}
+
+// Overall progress of the running transition: fadeOut covers 0..0.5, fadeIn 0.5..1.
+function getOverallTransitionProgress() {
+  switch (sectionState.phase) {
+    case 'fadeOut': return sectionState.transitionProgress * 0.5;
+    case 'loading': return 0.5;
+    case 'fadeIn': return 0.5 + sectionState.transitionProgress * 0.5;
+    default: return 0;
+  }
+}
+
+function setChapterIndexOpen(open) {
+  if (!chapterIndexEl) return;
+  chapterIndexEl.hidden = !open;
+  sectionNavEl?.classList.toggle('is-open', open);
+  if (sectionPaginationEl) {
+    sectionPaginationEl.setAttribute('aria-expanded', String(open));
+    sectionPaginationEl.title = open ? 'Hide chapters' : 'Show chapters';
+  }
+}
+
+function buildChapterIndex() {
+  if (!chapterIndexEl) return;
+  chapterIndexEl.textContent = '';
+  chapterIndexItems = [];
+  chapterIndexStateKey = '';
+
+  // Consecutive sections sharing an eyebrow ("Chapter 02") are listed under one heading.
+  let groupList = null;
+  let groupEyebrow = null;
+  sections.forEach((section, index) => {
+    const eyebrow = getSectionText(section, 'eyebrow') ?? '';
+    if (!groupList || eyebrow !== groupEyebrow) {
+      const group = document.createElement('section');
+      group.className = 'chapter-group';
+      if (eyebrow) {
+        const heading = document.createElement('p');
+        heading.className = 'chapter-eyebrow';
+        heading.textContent = eyebrow;
+        group.appendChild(heading);
+      }
+      groupList = document.createElement('ol');
+      groupList.className = 'chapter-list';
+      group.appendChild(groupList);
+      chapterIndexEl.appendChild(group);
+      groupEyebrow = eyebrow;
+    }
+
+    const item = document.createElement('li');
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'chapter-link';
+    button.dataset.sectionIndex = String(index);
+    const number = document.createElement('span');
+    number.className = 'chapter-number';
+    number.textContent = formatSectionNumber(index + 1);
+    const label = document.createElement('span');
+    label.className = 'chapter-title';
+    label.textContent = getSectionDisplayTitle(section);
+    const progress = document.createElement('span');
+    progress.className = 'chapter-progress';
+    progress.setAttribute('aria-hidden', 'true');
+    button.append(number, label, progress);
+    button.addEventListener('click', () => {
+      goToSection(index);
+      setChapterIndexOpen(false);
+    });
+    item.appendChild(button);
+    groupList.appendChild(item);
+    chapterIndexItems.push({ index, button, progress, shown: -1 });
+  });
+
+  updateChapterIndexState();
+}
+
+function updateChapterIndexState() {
+  const phase = sectionState.phase;
+  const pendingIndex = phase === 'fadeOut' || phase === 'loading' ? sectionState.nextIndex : null;
+  const progressIndex = pendingIndex ?? (phase === 'fadeIn' ? sectionState.index : null);
+  const overall = getOverallTransitionProgress();
+
+  const key = `${sectionState.index}:${pendingIndex}:${phase}`;
+  const stateChanged = key !== chapterIndexStateKey;
+  chapterIndexStateKey = key;
+
+  chapterIndexItems.forEach((item) => {
+    if (stateChanged) {
+      const isActive = item.index === sectionState.index;
+      item.button.classList.toggle('is-active', isActive);
+      item.button.classList.toggle('is-pending', item.index === pendingIndex);
+      if (isActive) {
+        item.button.setAttribute('aria-current', 'step');
+      } else {
+        item.button.removeAttribute('aria-current');
+      }
+    }
+    const value = item.index === progressIndex ? overall : 0;
+    if (Math.abs(value - item.shown) > 1e-3) {
+      item.shown = value;
+      item.progress.style.transform = `scaleX(${value.toFixed(3)})`;
+    }
+  });
+
+  if (sectionProgressBarEl && Math.abs(overall - sectionProgressShown) > 1e-3) {
+    sectionProgressShown = overall;
+    sectionProgressBarEl.style.transform = `scaleX(${overall.toFixed(3)})`;
+  }
+}
+
+function setupChapterIndex() {
+  if (!sectionNavEl || !chapterIndexEl) return;
+  buildChapterIndex();
+  sectionPaginationEl?.addEventListener('click', () => {
+    setChapterIndexOpen(chapterIndexEl.hidden);
+  });
+  document.addEventListener('pointerdown', (event) => {
+    if (chapterIndexEl.hidden) return;
+    if (event.target instanceof Node && sectionNavEl.contains(event.target)) return;
+    setChapterIndexOpen(false);
+  });
+  sectionNavEl.addEventListener('keydown', (event) => {
+    if (event.key !== 'Escape' || chapterIndexEl.hidden) return;
+    event.stopPropagation();
+    setChapterIndexOpen(false);
+    sectionPaginationEl?.focus();
+  });
+}
+
+function setLocale(locale) {
+  const next = localeState.available.includes(locale) ? locale : null;
+  if (!next || next === localeState.current) return false;
+  const previous = localeState.current;
+  localeState.current = next;
+  rememberLocale(next);
+  document.documentElement.lang = next;
+  // Re-render whatever is showing now; the next section picks the locale up on its own.
+  const section = getSectionByIndex(sectionState.index);
+  setSectionTextContent(getCurrentStep(), sectionState.index, { animateStats: false });
+  setBackgroundTextForSection(section);
+  buildChapterIndex();
+  renderStoryEndText();
+  scrollDrive.track?.refreshText();
+  updateLocaleToggle();
+  storyEvents.emit('localechange', { locale: next, previous });
+  return true;
+}
+
+function updateLocaleToggle() {
+  if (!localeToggleEl) return;
+  localeToggleEl.textContent = localeState.current.toUpperCase();
+  const index = localeState.available.indexOf(localeState.current);
+  const nextLocale = localeState.available[(index + 1) % localeState.available.length];
+  localeToggleEl.setAttribute('aria-label', `Language: ${localeState.current}. Switch to ${nextLocale}`);
+}
+
+function setupLocaleToggle() {
+  document.documentElement.lang = localeState.current;
+  if (!localeToggleEl) return;
+  // Only worth a button when the story actually has more than one language.
+  localeToggleEl.hidden = localeState.available.length < 2;
+  if (localeToggleEl.hidden) return;
+  updateLocaleToggle();
+  localeToggleEl.addEventListener('click', () => {
+    const index = localeState.available.indexOf(localeState.current);
+    setLocale(localeState.available[(index + 1) % localeState.available.length]);
+  });
 }
 
 function setBackgroundTextForSection(section) {
   if (!section) return;
-  const value = section.backgroundText;
+  const value = getSectionText(section, 'backgroundText');
   if (Array.isArray(value)) {
     bgTextLines = value;
   } else if (typeof value === 'string') {
@@ -3194,11 +4827,41 @@ function applySectionOverrides(section, { skipBackground = false } = {}) {
   }
 }
 
-function buildPoints() {
-  if (!originalGeom) return;
+// Re-sample the current model at keepRatio. Resolves once the new points are on screen;
+// a newer rebuild (e.g. while dragging the density slider) supersedes older ones. With
+// `whenIdle`, resolves null instead if a section change started while sampling: swapping the
+// geometry then would throw away its morph.
+let buildPointsToken = 0;
+function buildPoints({ whenIdle = false } = {}) {
+  if (!originalGeom) return Promise.resolve(null);
+  const token = ++buildPointsToken;
+  return createPointGeometry(originalGeom, morphTargetOriginal, keepRatio).then((g) => {
+    if (!g || token !== buildPointsToken) return null;
+    if (whenIdle && (!sectionState.isReady || sectionState.phase !== 'idle')) return null;
+    applyPointGeometry(g);
+    return points;
+  });
+}
+
+// Density and point size changes rebuild once the section is idle.
+const pointsRebuild = {
+  pending: false,
+};
+
+function requestPointsRebuild() {
+  pointsRebuild.pending = true;
+  flushPointsRebuild();
+}
+
+function flushPointsRebuild() {
+  if (!pointsRebuild.pending || !sectionState.isReady || sectionState.phase !== 'idle') return;
+  pointsRebuild.pending = false;
+  buildPoints({ whenIdle: true }).then((built) => {
+    if (!built && sectionState.phase !== 'idle') pointsRebuild.pending = true;
+  });
+}
 
-  const g = createPointGeometry(originalGeom, morphTargetOriginal, keepRatio);
-  if (!g) return;
+function applyPointGeometry(g) {
   g.computeBoundingBox();
   g.computeBoundingSphere?.();
 
@@ -3257,6 +4920,7 @@ if (!points) {
     if (u.uMorphFactor) {
       u.uMorphFactor.value = morphUniformValue;
     }
+    applyMorphStyleUniforms(u);
 
     // 👇 this was missing: carry over the live colour blend % 
     if (u.uColorMix) {
@@ -3273,7 +4937,6 @@ if (!points) {
   // keep morph targets bookkeeping
   const posAttr = g.getAttribute('position');
   if (posAttr) {
-    baseVertexCount = posAttr.count;
     refreshAllMorphTargets();
     if (currentSectionId) {
       const asset = sectionAssets.get(currentSectionId);
@@ -3290,66 +4953,210 @@ if (!points) {
 const DEFAULT_MODEL_PATH = 'point/akl3-bw.ply';
 let currentModelPath = DEFAULT_MODEL_PATH;
 
-function preprocessGeometry(geom, path) {
-  if (!geom) return null;
-  geom.computeBoundingBox();
-  const bb = geom.boundingBox;
-  if (!bb) return geom;
-
-  const cx = (bb.min.x + bb.max.x) / 2;
-  const cy = (bb.min.y + bb.max.y) / 2;
-  const cz = (bb.min.z + bb.max.z) / 2;
-  geom.translate(-cx, -cy, -cz);
-
-  const maxDim = Math.max(
-    bb.max.x - bb.min.x,
-    bb.max.y - bb.min.y,
-    bb.max.z - bb.min.z
-  ) || 1;
-  const scale = 2 / maxDim;
-  geom.scale(scale, scale, scale);
-
-  geom.rotateY(THREE.MathUtils.degToRad(180));
+function getModelNormalization(path) {
   const extraRotation = MODEL_ROTATION_OVERRIDES[path];
-  if (typeof extraRotation === 'number' && Number.isFinite(extraRotation)) {
-    geom.rotateY(THREE.MathUtils.degToRad(extraRotation));
-  }
   const scaleOverride = MODEL_SCALE_OVERRIDES[path];
-  if (typeof scaleOverride === 'number' && Number.isFinite(scaleOverride)) {
-    geom.scale(scaleOverride, scaleOverride, scaleOverride);
-  }
+  return {
+    rotationDeg: 180 + (typeof extraRotation === 'number' && Number.isFinite(extraRotation) ? extraRotation : 0),
+    scale: typeof scaleOverride === 'number' && Number.isFinite(scaleOverride) ? scaleOverride : 1,
+  };
+}
 
+function preprocessGeometry(geom, path, { bounds = null } = {}) {
+  const posAttr = geom?.getAttribute('position');
+  if (!posAttr) return geom;
+  normalizePositions(posAttr.array, { ...getModelNormalization(path), bounds });
+  posAttr.needsUpdate = true;
   geom.computeBoundingBox();
   geom.computeBoundingSphere?.();
   return geom;
 }
 
-function loadModel(path, { resetPathProgress = false } = {}) {
+function geometryFromArrays({ position, color = null }) {
+  const geom = new THREE.BufferGeometry();
+  geom.setAttribute('position', new THREE.BufferAttribute(position, 3));
+  if (color) geom.setAttribute('color', new THREE.BufferAttribute(color, 3));
+  geom.computeBoundingBox();
+  geom.computeBoundingSphere();
+  return geom;
+}
+
+function fetchPointCloud(path) {
+  return new Promise((resolve, reject) => {
+    pointCloudFileLoader.load(path, resolve, undefined, reject);
+  });
+}
+
+// Fetch, parse and normalize one point cloud file; the worker pool parses when it can. The
+// extension picks the reader: PLYLoader, or js/pointCloudFormats.js for LAS/LAZ, E57 and XYZ/PTS.
+// `modelPath` picks the normalization overrides (a streamed chunk uses its manifest's, plus the
+// manifest bounds).
+function loadPointCloudFile(url, { modelPath = url, bounds = null } = {}) {
+  const format = getPointCloudFormat(url);
+  const normalization = { ...getModelNormalization(modelPath), bounds };
+  const parseHere = (buffer) => {
+    if (format === 'ply') return preprocessGeometry(loader.parse(buffer), modelPath, { bounds });
+    return parsePointCloudBuffer(buffer, format)
+      .then((arrays) => preprocessGeometry(geometryFromArrays(arrays), modelPath, { bounds }));
+  };
+  return fetchPointCloud(url).then((buffer) => {
+    if (!pointCloudPool.available) return parseHere(buffer);
+    return pointCloudPool.run('parse', { buffer, format, ...normalization }, [buffer])
+      .then(geometryFromArrays)
+      .catch((err) => {
+        if (pointCloudPool.available) throw err;
+        // The buffer went to the dead worker; fetch it again (usually from the HTTP cache).
+        return fetchPointCloud(url).then(parseHere);
+      });
+  });
+}
+
+// A model path is a single point cloud file or a streamed LOD manifest (js/progressiveCloud.js); for the
+// latter this resolves with the coarsest level and updateProgressiveDetail() adds the rest.
+function loadPointCloud(path) {
+  if (!isCloudManifest(path)) return loadPointCloudFile(path);
+  return getProgressiveCloud(path).ready.then((cloud) => geometryFromArrays(cloud));
+}
+
+/* ---------------- Streamed LOD ---------------- */
+const LOD_CONFIG = SECTION_TRANSITION.lod ?? {};
+const LOD_CHECK_INTERVAL = 0.5; // seconds between screen-space error checks
+const progressiveClouds = new Map();
+const lodState = {
+  applied: new Map(),   // manifest path -> cloud version merged into the scene
+  applying: new Set(),  // manifest paths being re-sampled for the screen
+  sinceCheck: 0,
+};
+const lodWorldScale = new THREE.Vector3();
+const manifestLoader = new THREE.FileLoader().setResponseType('json');
+
+function getProgressiveCloud(path) {
+  let cloud = progressiveClouds.get(path);
+  if (!cloud) {
+    cloud = createProgressiveCloud(path, {
+      fetchManifest: (url) => new Promise((resolve, reject) => {
+        manifestLoader.load(url, resolve, undefined, reject);
+      }),
+      loadChunk: (url, bounds) => loadPointCloudFile(url, { modelPath: path, bounds }).then(getGeometryArrays),
+    });
+    progressiveClouds.set(path, cloud);
+    cloud.ready.then(
+      () => lodState.applied.set(path, cloud.version),
+      () => progressiveClouds.delete(path),
+    );
+  }
+  return cloud;
+}
+
+// How far apart the loaded points sit on screen, in pixels. The density slider thins them
+// further, so the spacing grows with 1/sqrt(keepRatio) (captures are mostly surfaces).
+function getProjectedSpacingPx(relativeSpacing, path) {
+  if (!points) return 0;
+  points.getWorldScale(lodWorldScale);
+  const worldSpacing = relativeSpacing * 2 * getModelNormalization(path).scale * lodWorldScale.x;
+  const thinned = worldSpacing / Math.sqrt(Math.max(keepRatio, 1e-3));
+  const distance = Math.max(camera.position.distanceTo(controls.target), 1e-3);
+  return thinned * calculatePixelsPerUnit() / distance;
+}
+
+// buildPoints() takes colours from the model itself; put borrowed `colorSource` colours back.
+function reapplyColorSource(section) {
+  const geom = getSectionAsset(section)?.geometry;
+  const posAttr = points?.geometry?.getAttribute('position');
+  if (!section?.colorSource || !geom || !posAttr) return Promise.resolve();
+  return resolveMorphColorGeometry(section, geom)
+    .then((colors) => buildMorphArrays(geom, colors.geometry, posAttr.count))
+    .then((arrays) => {
+      ['color', 'morphColor'].forEach((name) => {
+        const attr = points?.geometry?.getAttribute(name);
+        if (!arrays || !attr || attr.array.length !== arrays.colorArray.length) return;
+        attr.array.set(arrays.colorArray);
+        attr.needsUpdate = true;
+      });
+    });
+}
+
+// Swap a refined cloud in. The model on screen only changes while idle (a rebuild would throw
+// away a running morph), checked again once the new points are sampled; resolves false to
+// retry later.
+function applyProgressiveLevel(path, cloud) {
+  const onScreen = !!points && currentModelPath === path;
+  const isIdle = () => sectionState.isReady && sectionState.phase === 'idle';
+  if (onScreen && !isIdle()) return Promise.resolve(false);
+  const geom = geometryFromArrays(cloud);
+  const merge = () => {
+    sectionAssets.forEach((asset) => {
+      if (asset.path !== path) return;
+      asset.geometry = geom;
+      asset.morphArray = null;
+      asset.colorArray = geom.getAttribute('color')?.array.slice() ?? null;
+    });
+    console.log('[lod] level', cloud.levels, 'merged:', path, (geom.getAttribute('position').count), 'points');
+  };
+  if (!onScreen) {
+    merge();
+    return Promise.resolve(true);
+  }
+  const displayed = getSectionByIndex(sectionState.index);
+  const token = ++buildPointsToken;
+  return createPointGeometry(geom, geom, keepRatio).then((g) => {
+    if (!g || token !== buildPointsToken || !isIdle() || currentModelPath !== path) return false;
+    merge();
+    originalGeom = geom;
+    morphTargetOriginal = geom;
+    applyPointGeometry(g);
+    return reapplyColorSource(displayed).then(() => true);
+  });
+}
+
+function updateProgressiveDetail(dt) {
+  if (!progressiveClouds.size) return;
+  lodState.sinceCheck += dt;
+  if (lodState.sinceCheck < LOD_CHECK_INTERVAL) return;
+  lodState.sinceCheck = 0;
+
+  progressiveClouds.forEach((cloud, path) => {
+    if (!cloud.levels || lodState.applied.get(path) === cloud.version || lodState.applying.has(path)) return;
+    const { version } = cloud;
+    lodState.applying.add(path);
+    applyProgressiveLevel(path, cloud)
+      .then((applied) => {
+        if (applied) lodState.applied.set(path, version);
+      })
+      .catch((err) => console.warn('[lod] failed to merge level:', path, err))
+      .finally(() => lodState.applying.delete(path));
+  });
+
+  // Only the model on screen streams more detail.
+  const cloud = progressiveClouds.get(currentModelPath);
+  if (!cloud || sectionState.phase !== 'idle' || !cloud.hasMoreLevels()) return;
+  cloud.refine({
+    needsDetail: (relativeSpacing) => getProjectedSpacingPx(relativeSpacing, currentModelPath) > (LOD_CONFIG.screenError ?? 2),
+    maxPoints: LOD_CONFIG.maxPoints ?? Infinity,
+  });
+}
+
+function loadModel(path, { resetPathProgress = false, distanceScale = null } = {}) {
   modelLoadToken += 1;
   const token = modelLoadToken;
   console.log('[PLY] loading:', path);
 
-  const promise = new Promise((resolve, reject) => {
-    loader.load(
-      path,
-      (geom) => {
-        if (token !== modelLoadToken) {
-          console.warn('[PLY] stale load discarded:', path);
-          resolve(null);
-          return;
-        }
-
-        currentModelPath = path;
-        preprocessGeometry(geom, path);
-        sectionAssets.forEach((asset) => {
-          if (asset.path === path) {
-            asset.geometry = geom.clone();
-          }
-        });
-        originalGeom = geom;
-        morphTargetOriginal = geom.clone();
-        buildPoints();
+  const promise = loadPointCloud(path).then(
+    (geom) => {
+      if (token !== modelLoadToken) {
+        console.warn('[PLY] stale load discarded:', path);
+        return null;
+      }
 
+      currentModelPath = path;
+      sectionAssets.forEach((asset) => {
+        if (asset.path === path) {
+          asset.geometry = geom.clone();
+        }
+      });
+      originalGeom = geom;
+      morphTargetOriginal = geom;
+      return buildPoints().then(() => {
         const measureTarget = points || pointCloudGroup;
         const box = new THREE.Box3().setFromObject(measureTarget);
         const size = new THREE.Vector3();
@@ -3361,8 +5168,8 @@ function loadModel(path, { resetPathProgress = false } = {}) {
         controls.target.copy(center);
         const targetOffset = MODEL_TARGET_OFFSETS[path];
         if (targetOffset) controls.target.add(targetOffset);
-        const overrideScale = CAMERA_PATH_DISTANCE_OVERRIDES[path] ?? 1.0;
-        cameraPathScale = Math.max(dist, 0.1) * overrideScale;
+        cameraPathDistance = Math.max(dist, 0.1);
+        cameraPathScale = cameraPathDistance * (distanceScale ?? 1);
         if (resetPathProgress) {
           cameraPathT = 0;
         }
@@ -3391,20 +5198,24 @@ function loadModel(path, { resetPathProgress = false } = {}) {
           if (btn) btn.textContent = path.split('/').pop();
         } catch {}
 
-        resolve({ path, box });
-      },
-      undefined,
-      (err) => {
-        if (token !== modelLoadToken) {
-          console.warn('[PLY] stale load error ignored:', err);
-          resolve(null);
-          return;
-        }
-        console.error('PLY load error:', err);
-        reject(err);
+        storyEvents.emit('modelloaded', {
+          path,
+          points: geom.getAttribute('position')?.count ?? 0,
+          hasColor: !!geom.getAttribute('color'),
+        });
+        return { path, box };
+      });
+    },
+    (err) => {
+      if (token !== modelLoadToken) {
+        console.warn('[PLY] stale load error ignored:', err);
+        return null;
       }
-    );
-  });
+      console.error('PLY load error:', err);
+      storyEvents.emit('loaderror', { path, section: describeSection(sectionState.index), error: err });
+      throw err;
+    }
+  );
 
   pendingModelPromise = promise.then(
     (value) => value,
@@ -3427,7 +5238,7 @@ function animate() {
   const now = performance.now();
   const dt = (now - lastFrameTime) * 0.001;
   lastFrameTime = now;
-  if (Math.abs(cameraPathTarget - cameraPathT) > 1e-4) {
+  if (!exploreState.active && Math.abs(cameraPathTarget - cameraPathT) > 1e-4) {
     const diff = cameraPathTarget - cameraPathT;
     const step = diff * Math.min(1, CAMERA_PATH_LERP_SPEED * dt);
     cameraPathT = THREE.MathUtils.clamp(cameraPathT + step, 0, 1);
@@ -3461,7 +5272,19 @@ function animate() {
     updateBackgroundTextScale();
     updateBackgroundTextPose();
   }
+  updateAutoplay(dt);
+  updateBoundaryResistance(dt);
+  updateWheelRelease();
+  updateTransitionSettle(dt);
+  updateSectionNavigation(dt);
+  updateScrollDrivenTransition();
+  updateCameraDwell(dt);
+  updateProgressiveDetail(dt);
+  updateExploreMode();
   updateSectionTransition();
+  flushPointsRebuild();
+  updatePathEditor();
+  updateChapterIndexState();
   if (Math.abs(scatterGoal - scatterAmp) > 1e-4) {
     const delta = scatterGoal - scatterAmp;
     const step = delta * Math.min(1, SCATTER_EASE_SPEED * dt);
@@ -3475,6 +5298,9 @@ function animate() {
       textOpacityValue = textOpacityTarget;
     }
     floatingTextEl.style.opacity = textOpacityValue.toFixed(3);
+    // Layouts slide their copy in by (1 - --text-reveal), so motion tracks the fade.
+    floatingTextEl.style.setProperty('--text-reveal', textOpacityValue.toFixed(3));
+    updateStatCounters(textOpacityValue);
   }
 
   if (composer) composer.render(); else renderer.render(scene, camera);
@@ -3506,3 +5332,5 @@ if (document.readyState === 'loading') {
 } else {
   setupUI();
 }
+
+export { goToSection, goToNextSection as next, goToPreviousSection as prev, goToNextStep as nextStep, goToPreviousStep as prevStep, setAutoplayEnabled as setAutoplay, setLocale, setExploreMode, storyEvents };
@@ -0,0 +1,239 @@
+// chunk-ply.mjs
+// Split a PLY into the additive LOD levels read by js/progressiveCloud.js.
+//   node tools/chunk-ply.mjs capture.ply point/capture-lod [--levels 5] [--chunk 100000]
+// Writes binary PLY chunks plus manifest.json into the output folder; point a section's
+// `modelPath` at the manifest. Reads ascii and binary_little_endian PLYs with x/y/z and
+// optional red/green/blue. Level 0 keeps one point per grid cell of maxDim/64, each further
+// level halves the cell size and adds the points that fill the new cells; the last level takes
+// whatever is left.
+
+import fs from 'fs';
+import path from 'path';
+
+const FORMAT = 'pointcloud-lod';
+const BASE_CELLS = 64;
+
+const TYPE_SIZES = {
+  char: 1, uchar: 1, int8: 1, uint8: 1,
+  short: 2, ushort: 2, int16: 2, uint16: 2,
+  int: 4, uint: 4, int32: 4, uint32: 4,
+  float: 4, float32: 4, double: 8, float64: 8,
+};
+
+function readValue(view, offset, type) {
+  switch (type) {
+    case 'char': case 'int8': return view.getInt8(offset);
+    case 'uchar': case 'uint8': return view.getUint8(offset);
+    case 'short': case 'int16': return view.getInt16(offset, true);
+    case 'ushort': case 'uint16': return view.getUint16(offset, true);
+    case 'int': case 'int32': return view.getInt32(offset, true);
+    case 'uint': case 'uint32': return view.getUint32(offset, true);
+    case 'float': case 'float32': return view.getFloat32(offset, true);
+    case 'double': case 'float64': return view.getFloat64(offset, true);
+    default: throw new Error(`unsupported PLY type '${type}'`);
+  }
+}
+
+function parseHeader(buffer) {
+  const end = buffer.indexOf('end_header');
+  if (end < 0) throw new Error('missing end_header');
+  const lines = buffer.subarray(0, end).toString('latin1').split(/\r?\n/);
+  let format = null;
+  let vertexCount = 0;
+  let current = null;
+  const elements = [];
+  lines.forEach((line) => {
+    const parts = line.trim().split(/\s+/);
+    if (parts[0] === 'format') format = parts[1];
+    if (parts[0] === 'element') {
+      current = { name: parts[1], count: Number(parts[2]), properties: [] };
+      elements.push(current);
+      if (current.name === 'vertex') vertexCount = current.count;
+    }
+    if (parts[0] === 'property' && current) {
+      if (parts[1] === 'list') throw new Error(`list property in '${current.name}' is not supported`);
+      current.properties.push({ type: parts[1], name: parts[2] });
+    }
+  });
+  if (elements[0]?.name !== 'vertex') throw new Error('vertex element must come first');
+  let bodyStart = end + 'end_header'.length;
+  if (buffer[bodyStart] === 0x0d) bodyStart += 1;
+  if (buffer[bodyStart] === 0x0a) bodyStart += 1;
+  return { format, vertexCount, properties: elements[0].properties, bodyStart };
+}
+
+function readPly(file) {
+  const buffer = fs.readFileSync(file);
+  const { format, vertexCount, properties, bodyStart } = parseHeader(buffer);
+  const names = properties.map((p) => p.name);
+  const axes = ['x', 'y', 'z'].map((name) => names.indexOf(name));
+  if (axes.some((i) => i < 0)) throw new Error('PLY needs x, y and z');
+  const rgb = ['red', 'green', 'blue'].map((name) => names.indexOf(name));
+  const hasColor = rgb.every((i) => i >= 0);
+  const position = new Float32Array(vertexCount * 3);
+  const color = hasColor ? new Uint8Array(vertexCount * 3) : null;
+  const row = new Array(properties.length);
+  const store = (i) => {
+    for (let k = 0; k < 3; k++) position[i * 3 + k] = row[axes[k]];
+    if (!hasColor) return;
+    for (let k = 0; k < 3; k++) {
+      const value = row[rgb[k]];
+      // Float colours are 0–1, integer ones 0–255.
+      const scaled = properties[rgb[k]].type.startsWith('float') || properties[rgb[k]].type === 'double' ? value * 255 : value;
+      color[i * 3 + k] = Math.max(0, Math.min(255, Math.round(scaled)));
+    }
+  };
+
+  if (format === 'ascii') {
+    const body = buffer.subarray(bodyStart).toString('latin1').split(/\r?\n/);
+    let i = 0;
+    for (let line = 0; line < body.length && i < vertexCount; line++) {
+      const values = body[line].trim().split(/\s+/);
+      if (values.length < properties.length) continue;
+      for (let p = 0; p < properties.length; p++) row[p] = Number(values[p]);
+      store(i++);
+    }
+  } else if (format === 'binary_little_endian') {
+    const view = new DataView(buffer.buffer, buffer.byteOffset + bodyStart);
+    let offset = 0;
+    for (let i = 0; i < vertexCount; i++) {
+      properties.forEach((property, p) => {
+        row[p] = readValue(view, offset, property.type);
+        offset += TYPE_SIZES[property.type];
+      });
+      store(i);
+    }
+  } else {
+    throw new Error(`unsupported PLY format '${format}'`);
+  }
+  return { position, color, count: vertexCount };
+}
+
+function writePly(file, position, color, indices) {
+  const header = [
+    'ply',
+    'format binary_little_endian 1.0',
+    `element vertex ${indices.length}`,
+    'property float x',
+    'property float y',
+    'property float z',
+    ...(color ? ['property uchar red', 'property uchar green', 'property uchar blue'] : []),
+    'end_header',
+    '',
+  ].join('\n');
+  const stride = 12 + (color ? 3 : 0);
+  const body = Buffer.alloc(indices.length * stride);
+  indices.forEach((index, i) => {
+    const offset = i * stride;
+    body.writeFloatLE(position[index * 3], offset);
+    body.writeFloatLE(position[index * 3 + 1], offset + 4);
+    body.writeFloatLE(position[index * 3 + 2], offset + 8);
+    if (color) {
+      body[offset + 12] = color[index * 3];
+      body[offset + 13] = color[index * 3 + 1];
+      body[offset + 14] = color[index * 3 + 2];
+    }
+  });
+  fs.writeFileSync(file, Buffer.concat([Buffer.from(header, 'latin1'), body]));
+}
+
+// Deterministic shuffle so repeated runs produce identical chunks.
+function shuffledIndices(count, seed = 1) {
+  const order = new Uint32Array(count);
+  for (let i = 0; i < count; i++) order[i] = i;
+  let state = seed >>> 0;
+  for (let i = count - 1; i > 0; i--) {
+    state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+    const j = state % (i + 1);
+    const tmp = order[i];
+    order[i] = order[j];
+    order[j] = tmp;
+  }
+  return order;
+}
+
+function getBounds(position) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < position.length; i += 3) {
+    for (let k = 0; k < 3; k++) {
+      min[k] = Math.min(min[k], position[i + k]);
+      max[k] = Math.max(max[k], position[i + k]);
+    }
+  }
+  return { min, max };
+}
+
+function buildLevels(position, count, bounds, levelCount) {
+  const maxDim = Math.max(...[0, 1, 2].map((k) => bounds.max[k] - bounds.min[k])) || 1;
+  const taken = new Uint8Array(count);
+  const order = shuffledIndices(count);
+  const levels = [];
+  for (let level = 0; level < levelCount; level++) {
+    const spacing = maxDim / (BASE_CELLS * 2 ** level);
+    const last = level === levelCount - 1;
+    const picked = [];
+    const cells = new Set();
+    // Cells already claimed by coarser levels stay claimed.
+    for (let i = 0; i < count && !last; i++) {
+      if (!taken[i]) continue;
+      cells.add(cellKey(position, i, bounds, spacing));
+    }
+    for (let n = 0; n < count; n++) {
+      const i = order[n];
+      if (taken[i]) continue;
+      if (!last) {
+        const key = cellKey(position, i, bounds, spacing);
+        if (cells.has(key)) continue;
+        cells.add(key);
+      }
+      taken[i] = 1;
+      picked.push(i);
+    }
+    levels.push({ spacing, indices: picked });
+  }
+  return levels.filter((level) => level.indices.length > 0);
+}
+
+function cellKey(position, i, bounds, spacing) {
+  const x = Math.floor((position[i * 3] - bounds.min[0]) / spacing);
+  const y = Math.floor((position[i * 3 + 1] - bounds.min[1]) / spacing);
+  const z = Math.floor((position[i * 3 + 2] - bounds.min[2]) / spacing);
+  return `${x},${y},${z}`;
+}
+
+function parseArgs(argv) {
+  const options = { levels: 5, chunk: 100000 };
+  const rest = [];
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--levels') options.levels = Math.max(1, Number(argv[++i]) || options.levels);
+    else if (argv[i] === '--chunk') options.chunk = Math.max(1000, Number(argv[++i]) || options.chunk);
+    else rest.push(argv[i]);
+  }
+  return { ...options, input: rest[0], output: rest[1] };
+}
+
+const { input, output, levels: levelCount, chunk } = parseArgs(process.argv.slice(2));
+if (!input || !output) {
+  console.error('usage: node tools/chunk-ply.mjs <input.ply> <output-dir> [--levels N] [--chunk N]');
+  process.exit(1);
+}
+
+const cloud = readPly(input);
+const bounds = getBounds(cloud.position);
+const levels = buildLevels(cloud.position, cloud.count, bounds, levelCount);
+fs.mkdirSync(output, { recursive: true });
+
+const manifest = { format: FORMAT, version: 1, source: path.basename(input), bounds, levels: [] };
+levels.forEach((level, index) => {
+  const chunks = [];
+  for (let start = 0; start < level.indices.length; start += chunk) {
+    const name = `lod${index}-${chunks.length}.ply`;
+    writePly(path.join(output, name), cloud.position, cloud.color, level.indices.slice(start, start + chunk));
+    chunks.push(name);
+  }
+  manifest.levels.push({ spacing: level.spacing, points: level.indices.length, chunks });
+  console.log(`[lod] level ${index}: ${level.indices.length} points in ${chunks.length} chunk(s)`);
+});
+fs.writeFileSync(path.join(output, 'manifest.json'), `${JSON.stringify(manifest, null, 2)}\n`);
+console.log(`[lod] wrote ${path.join(output, 'manifest.json')}`);